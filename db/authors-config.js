@@ -0,0 +1,71 @@
+// config/authors.json — mailmap-style canonical identities, applied to SQLite by seedAuthorsFromConfig()
+
+const fs = require('fs');
+const path = require('path');
+
+// AUTHORS_CONFIG points elsewhere (tests, a config kept outside the checkout)
+const AUTHORS_CONFIG_PATH = process.env.AUTHORS_CONFIG || path.join(__dirname, '../config/authors.json');
+const ALIAS_FIELDS = ['emails', 'names', 'logins'];
+
+function normalizeAuthorEntry(entry) {
+  const normalized = { name: typeof entry.name === 'string' ? entry.name.trim() : '' };
+  for (const field of ALIAS_FIELDS) {
+    const values = Array.isArray(entry[field]) ? entry[field] : [];
+    normalized[field] = [...new Set(values.map((v) => String(v).trim()).filter(Boolean))];
+  }
+  return normalized;
+}
+
+function validateAuthorsConfig(config) {
+  if (!Array.isArray(config)) {
+    throw new Error('config/authors.json must be a JSON array');
+  }
+
+  const seen = new Map();
+  config.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`config/authors.json entry ${index} needs a non-empty "name"`);
+    }
+    for (const field of ALIAS_FIELDS) {
+      if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+        throw new Error(`config/authors.json entry "${entry.name}": "${field}" must be an array`);
+      }
+      for (const value of entry[field] || []) {
+        const key = `${field}:${String(value).toLowerCase()}`;
+        if (seen.has(key) && seen.get(key) !== index) {
+          throw new Error(`config/authors.json: ${field} "${value}" is listed under more than one author`);
+        }
+        seen.set(key, index);
+      }
+    }
+  });
+
+  return config.map(normalizeAuthorEntry);
+}
+
+function loadAuthorsConfig(configPath = AUTHORS_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+  const raw = fs.readFileSync(configPath, 'utf8');
+  return validateAuthorsConfig(JSON.parse(raw));
+}
+
+// Temp file + rename so a crash mid-write never leaves a truncated config; the previous file is kept as .bak
+function writeAuthorsConfig(entries, configPath = AUTHORS_CONFIG_PATH) {
+  const validated = validateAuthorsConfig(entries);
+  if (fs.existsSync(configPath)) {
+    fs.copyFileSync(configPath, `${configPath}.bak`);
+  }
+  const tmpPath = `${configPath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(validated, null, 2)}\n`);
+  fs.renameSync(tmpPath, configPath);
+  return validated;
+}
+
+module.exports = {
+  AUTHORS_CONFIG_PATH,
+  loadAuthorsConfig,
+  validateAuthorsConfig,
+  writeAuthorsConfig
+};
@@ -0,0 +1,73 @@
+// data/ignored-repos.json — repos never ingested, applied to SQLite by seedIgnoredReposFromConfig()
+// "name" is a bare repo name (any owner) or "owner/name"
+
+const fs = require('fs');
+const path = require('path');
+
+// IGNORED_REPOS_CONFIG points elsewhere (tests, a list kept outside the checkout)
+const IGNORED_REPOS_PATH = process.env.IGNORED_REPOS_CONFIG || path.join(__dirname, '../data/ignored-repos.json');
+const NAME_PATTERN = /^(?:[\w.-]+\/)?[\w.-]+$/;
+
+function validateIgnoredRepos(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('data/ignored-repos.json must be a JSON array');
+  }
+
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !NAME_PATTERN.test(entry.name.trim())) {
+      throw new Error(`data/ignored-repos.json entry ${index} needs a "name" (repo or owner/repo)`);
+    }
+    if (entry.reason !== undefined && entry.reason !== null && typeof entry.reason !== 'string') {
+      throw new Error(`data/ignored-repos.json entry "${entry.name}": "reason" must be a string`);
+    }
+    if (entry.ignoredAt !== undefined && Number.isNaN(Date.parse(entry.ignoredAt))) {
+      throw new Error(`data/ignored-repos.json entry "${entry.name}": "ignoredAt" must be an ISO8601 date`);
+    }
+    const key = entry.name.trim().toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`data/ignored-repos.json: "${entry.name}" is listed more than once`);
+    }
+    seen.add(key);
+  });
+
+  return entries.map((entry) => ({
+    name: entry.name.trim(),
+    ignoredAt: entry.ignoredAt || null,
+    reason: entry.reason || null
+  }));
+}
+
+function loadIgnoredRepos(configPath = IGNORED_REPOS_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+  return validateIgnoredRepos(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+}
+
+// Temp file + rename so a crash mid-write never leaves a truncated list
+function writeIgnoredRepos(entries, configPath = IGNORED_REPOS_PATH) {
+  const validated = validateIgnoredRepos(entries);
+  const tmpPath = `${configPath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(validated, null, 2)}\n`);
+  fs.renameSync(tmpPath, configPath);
+  return validated;
+}
+
+// The entry that ignores "owner/name", if any — a bare entry name matches the repo under every owner
+function findIgnoredEntry(entries, fullName) {
+  const full = fullName.toLowerCase();
+  const bare = full.split('/').pop();
+  return entries.find((entry) => {
+    const name = entry.name.toLowerCase();
+    return name === full || name === bare;
+  }) || null;
+}
+
+module.exports = {
+  IGNORED_REPOS_PATH,
+  loadIgnoredRepos,
+  validateIgnoredRepos,
+  writeIgnoredRepos,
+  findIgnoredEntry
+};
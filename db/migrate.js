@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Versioned SQLite migrations — db/migrations/NNN_name.sql (or .js exporting up(db)), tracked via PRAGMA user_version
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) return null;
+      const filePath = path.join(dir, file);
+      // .js migrations handle data backfills that plain SQL cannot express
+      if (match[3] === 'js') {
+        const { up, foreignKeys = true } = require(filePath);
+        return { version: parseInt(match[1], 10), name: match[2], file, up, foreignKeys };
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, sql: fs.readFileSync(filePath, 'utf8') };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Versions must run 1..N with no gaps — user_version is a single high-water mark
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${migration.file} is out of sequence — expected version ${index + 1}`);
+    }
+  });
+
+  return migrations;
+}
+
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+function getLatestVersion(migrations) {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+function getMigrationStatus(db, migrations = loadMigrations()) {
+  const current = getSchemaVersion(db);
+  return {
+    current,
+    latest: getLatestVersion(migrations),
+    applied: migrations.filter((m) => m.version <= current).map((m) => m.file),
+    pending: migrations.filter((m) => m.version > current).map((m) => m.file)
+  };
+}
+
+function migrate(db, migrations = loadMigrations()) {
+  const current = getSchemaVersion(db);
+  const latest = getLatestVersion(migrations);
+
+  if (current > latest) {
+    throw new Error(
+      `Database schema v${current} is newer than this code (v${latest}) — upgrade GitHub Activity Logger before starting`
+    );
+  }
+
+  const pending = migrations.filter((m) => m.version > current);
+  for (const migration of pending) {
+    // Table rebuilds (`exports.foreignKeys = false`) follow SQLite's recipe: the pragma only takes effect outside a transaction
+    const rebuild = migration.foreignKeys === false;
+    const enforcesForeignKeys = db.pragma('foreign_keys', { simple: true });
+    if (rebuild) {
+      db.pragma('foreign_keys = OFF');
+    }
+
+    try {
+      // user_version is written inside the transaction, so a failed migration leaves the version untouched
+      db.transaction(() => {
+        if (migration.up) {
+          migration.up(db);
+        } else {
+          db.exec(migration.sql);
+        }
+        if (rebuild) {
+          const violations = db.pragma('foreign_key_check');
+          if (violations.length > 0) {
+            throw new Error(`Migration ${migration.file} left ${violations.length} foreign key violation(s) in ${violations[0].table}`);
+          }
+        }
+        db.pragma(`user_version = ${migration.version}`);
+      })();
+    } finally {
+      db.pragma(`foreign_keys = ${enforcesForeignKeys ? 'ON' : 'OFF'}`);
+    }
+    console.log(`🗄️  Applied migration ${migration.file}`);
+  }
+
+  return { from: current, to: getSchemaVersion(db), applied: pending.map((m) => m.file) };
+}
+
+function parseArgs(argv) {
+  const args = { status: false, help: false };
+  for (const arg of argv) {
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--status' || arg === '-s') {
+      args.status = true;
+    }
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+GitHub Activity Logger — SQLite schema migrations
+
+Usage: node db/migrate.js [options]
+
+Options:
+  -s, --status   Show applied and pending migrations without changing the database
+  -h, --help     Show this help
+
+Migrations also run automatically when the server starts.
+
+Examples:
+  npm run migrate
+  npm run migrate -- --status
+`);
+}
+
+// Exported before the CLI block: store.js requires this module back while it is still the entry point
+module.exports = {
+  migrate,
+  loadMigrations,
+  getSchemaVersion,
+  getMigrationStatus,
+  MIGRATIONS_DIR
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const Database = require('better-sqlite3');
+  const { getDbPath } = require('./store');
+
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const db = new Database(getDbPath());
+  try {
+    if (options.status) {
+      const status = getMigrationStatus(db);
+      console.log(`Schema version: ${status.current} (latest ${status.latest})`);
+      status.applied.forEach((file) => console.log(`  ✅ ${file}`));
+      status.pending.forEach((file) => console.log(`  ⏳ ${file}`));
+      if (status.current > status.latest) {
+        console.error('❌ Database is newer than this code');
+        process.exitCode = 1;
+      }
+    } else {
+      const result = migrate(db);
+      console.log(result.applied.length > 0
+        ? `Migrated v${result.from} → v${result.to}`
+        : `Already at v${result.to} — nothing to apply`);
+    }
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
@@ -1,4 +1,5 @@
 -- GitHub Activity Logger v2 schema (G1)
+-- IF NOT EXISTS keeps this a no-op on databases created before versioned migrations
 
 CREATE TABLE IF NOT EXISTS projects (
   id TEXT PRIMARY KEY,
@@ -0,0 +1,13 @@
+-- Changed files per commit
+-- Webhook pushes only list paths, so additions/deletions stay NULL until backfill fetches the commit detail
+
+CREATE TABLE IF NOT EXISTS commit_files (
+  sha TEXT NOT NULL REFERENCES commits(sha),
+  path TEXT NOT NULL,
+  status TEXT NOT NULL,
+  additions INTEGER,
+  deletions INTEGER,
+  PRIMARY KEY (sha, path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_files_path ON commit_files(path);
@@ -0,0 +1,10 @@
+-- Branches each commit was pushed to
+
+CREATE TABLE IF NOT EXISTS commit_refs (
+  sha TEXT NOT NULL REFERENCES commits(sha),
+  branch TEXT NOT NULL,
+  first_seen_at TEXT NOT NULL,
+  PRIMARY KEY (sha, branch)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_refs_branch ON commit_refs(branch);
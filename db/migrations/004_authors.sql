@@ -0,0 +1,25 @@
+-- Canonical author identities with mailmap-style aliases
+-- Existing commits keep author_id NULL until seedAuthorsFromConfig() relinks them at startup
+
+CREATE TABLE IF NOT EXISTS authors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- kind: email | name | login
+CREATE TABLE IF NOT EXISTS author_aliases (
+  kind TEXT NOT NULL,
+  value TEXT NOT NULL COLLATE NOCASE,
+  author_id INTEGER NOT NULL REFERENCES authors(id),
+  PRIMARY KEY (kind, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_author_aliases_author ON author_aliases(author_id);
+
+ALTER TABLE commits ADD COLUMN author_email TEXT;
+ALTER TABLE commits ADD COLUMN author_login TEXT;
+ALTER TABLE commits ADD COLUMN author_id INTEGER REFERENCES authors(id);
+
+CREATE INDEX IF NOT EXISTS idx_commits_author ON commits(author_id);
@@ -0,0 +1,102 @@
+// Git trailers per commit — parses messages already stored so history gets the same breakdowns
+// The parser below is a frozen copy of ingest/commit-parser.js parseTrailers(): later rule changes there
+// must not change what this migration writes. Replaying deliveries applies the current rules.
+
+const TRAILER_LINE = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.+)$/;
+const IDENTITY = /^(.*?)\s*<([^>]+)>\s*$/;
+const NOREPLY_LOGIN = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+const TRAILER_KINDS = {
+  'co-authored-by': 'co_author',
+  'signed-off-by': 'signoff',
+  'reviewed-by': 'reviewer',
+  'assisted-by': 'ai_assist',
+  'generated-by': 'ai_assist'
+};
+
+const AI_ASSISTANT_EMAIL_DOMAINS = ['anthropic.com', 'openai.com', 'cursor.com', 'cursor.sh', 'aider.chat'];
+const AI_ASSISTANT_LOGINS = [
+  'copilot',
+  'copilot-swe-agent[bot]',
+  'claude[bot]',
+  'cursor[bot]',
+  'chatgpt-codex-connector[bot]',
+  'devin-ai-integration[bot]',
+  'gemini-code-assist[bot]'
+];
+const AI_ASSISTANT_NAMES = ['claude code', 'github copilot', 'cursor agent', 'chatgpt', 'openai codex', 'gemini code assist'];
+
+function classifyTrailer(key, name, email) {
+  const kind = TRAILER_KINDS[key.toLowerCase()] || 'other';
+  if (kind !== 'co_author') {
+    return kind;
+  }
+  const address = (email || '').toLowerCase();
+  const noreply = NOREPLY_LOGIN.exec(address);
+  const assistant = AI_ASSISTANT_EMAIL_DOMAINS.includes(address.split('@')[1])
+    || (noreply && AI_ASSISTANT_LOGINS.includes(noreply[1]))
+    || AI_ASSISTANT_NAMES.includes((name || '').trim().toLowerCase());
+  return assistant ? 'ai_assist' : kind;
+}
+
+function parseTrailers(message) {
+  if (!message || typeof message !== 'string') {
+    return [];
+  }
+
+  const paragraphs = message.trim().split(/\n[ \t]*\n/);
+  if (paragraphs.length < 2) {
+    return [];
+  }
+
+  const trailers = [];
+  for (const line of paragraphs[paragraphs.length - 1].split('\n')) {
+    if (/^[ \t]+\S/.test(line) && trailers.length > 0) {
+      trailers[trailers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = TRAILER_LINE.exec(line.trim());
+    if (!match) {
+      return [];
+    }
+    trailers.push({ key: match[1], value: match[2].trim() });
+  }
+
+  return trailers.map((trailer) => {
+    const identity = IDENTITY.exec(trailer.value);
+    const name = identity ? identity[1] || null : null;
+    const email = identity ? identity[2] : null;
+    return { ...trailer, kind: classifyTrailer(trailer.key, name, email), name, email };
+  });
+}
+
+function up(db) {
+  db.exec(`
+    -- kind: co_author | signoff | reviewer | ai_assist | other
+    CREATE TABLE IF NOT EXISTS commit_trailers (
+      sha TEXT NOT NULL REFERENCES commits(sha),
+      position INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      name TEXT,
+      email TEXT,
+      PRIMARY KEY (sha, position)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_commit_trailers_kind ON commit_trailers(kind, sha);
+  `);
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO commit_trailers (sha, position, key, value, kind, name, email)
+    VALUES (@sha, @position, @key, @value, @kind, @name, @email)
+  `);
+
+  for (const row of db.prepare('SELECT sha, message FROM commits').all()) {
+    parseTrailers(row.message).forEach((trailer, position) => {
+      insert.run({ sha: row.sha, position, ...trailer });
+    });
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+-- Full-text index over commit messages
+-- External-content FTS5 table kept in sync by triggers, so insertCommit needs no extra write
+
+CREATE VIRTUAL TABLE IF NOT EXISTS commits_fts USING fts5(
+  message,
+  content = 'commits',
+  content_rowid = 'rowid',
+  tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS commits_fts_insert AFTER INSERT ON commits BEGIN
+  INSERT INTO commits_fts (rowid, message) VALUES (new.rowid, new.message);
+END;
+
+CREATE TRIGGER IF NOT EXISTS commits_fts_delete AFTER DELETE ON commits BEGIN
+  INSERT INTO commits_fts (commits_fts, rowid, message) VALUES ('delete', old.rowid, old.message);
+END;
+
+CREATE TRIGGER IF NOT EXISTS commits_fts_update AFTER UPDATE OF message ON commits BEGIN
+  INSERT INTO commits_fts (commits_fts, rowid, message) VALUES ('delete', old.rowid, old.message);
+  INSERT INTO commits_fts (rowid, message) VALUES (new.rowid, new.message);
+END;
+
+INSERT INTO commits_fts (commits_fts) VALUES ('rebuild');
@@ -0,0 +1,5 @@
+-- Tombstones for commits orphaned by a force-push
+-- rewritten_by holds the head SHA of the forced push that replaced them
+
+ALTER TABLE commits ADD COLUMN rewritten_at TEXT;
+ALTER TABLE commits ADD COLUMN rewritten_by TEXT;
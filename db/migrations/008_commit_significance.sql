@@ -0,0 +1,7 @@
+-- Store insignificant commits too, flagged for query-time filtering
+-- Rows from before this migration were stored only because they passed the filter
+
+ALTER TABLE commits ADD COLUMN significant INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE commits ADD COLUMN significance_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_commits_project_significant_time ON commits(project_id, significant, committed_at);
@@ -0,0 +1,16 @@
+-- Journal of verified webhook deliveries
+-- id is the X-GitHub-Delivery GUID; payload is the gzip-compressed raw request body
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  repo TEXT,
+  payload BLOB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received',  -- received | processing | processed | skipped | failed
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  received_at TEXT NOT NULL,
+  processed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, received_at);
@@ -0,0 +1,26 @@
+-- Durable ingest queue for webhook deliveries
+-- queue is the project id (or repo when unconfigured); each queue runs one job at a time
+
+CREATE TABLE IF NOT EXISTS ingest_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  delivery_id TEXT NOT NULL REFERENCES webhook_deliveries(id),
+  queue TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',  -- queued | running | done | dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_after TEXT NOT NULL,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  finished_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_jobs_ready ON ingest_jobs(status, queue, run_after);
+CREATE INDEX IF NOT EXISTS idx_ingest_jobs_delivery ON ingest_jobs(delivery_id);
+
+-- Deliveries accepted before the queue existed but never finished
+INSERT INTO ingest_jobs (delivery_id, queue, status, max_attempts, run_after, created_at, updated_at)
+SELECT d.id, COALESCE(p.id, d.repo, 'unknown'), 'queued', 5, d.received_at, d.received_at, d.received_at
+FROM webhook_deliveries d
+LEFT JOIN projects p ON p.repo = d.repo COLLATE NOCASE
+WHERE d.status IN ('received', 'processing');
@@ -0,0 +1,28 @@
+// Archive projects dropped from config/projects.json instead of leaving them active forever
+// Rebuilds projects: repo stays unique among active projects only, so an archived project keeps its repo
+// when a new entry takes it over (e.g. a renamed project id)
+
+exports.foreignKeys = false;
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE projects_new (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      repo TEXT NOT NULL,
+      workspace_path TEXT,
+      status TEXT NOT NULL DEFAULT 'active',  -- active | archived
+      archived_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    INSERT INTO projects_new (id, name, repo, workspace_path, created_at, updated_at)
+    SELECT id, name, repo, workspace_path, created_at, updated_at FROM projects;
+
+    DROP TABLE projects;
+    ALTER TABLE projects_new RENAME TO projects;
+
+    CREATE UNIQUE INDEX idx_projects_active_repo ON projects(repo COLLATE NOCASE) WHERE status = 'active';
+  `);
+};
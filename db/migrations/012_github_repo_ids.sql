@@ -0,0 +1,11 @@
+-- Resolve repos by GitHub's numeric id so renames and transfers keep ingesting
+-- repo follows GitHub; config_repo is what config/projects.json said at the last seed
+
+ALTER TABLE projects ADD COLUMN github_repo_id INTEGER;
+ALTER TABLE projects ADD COLUMN config_repo TEXT;
+ALTER TABLE projects ADD COLUMN repo_archived_at TEXT;
+
+UPDATE projects SET config_repo = repo;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_active_github_repo_id
+  ON projects(github_repo_id) WHERE status = 'active' AND github_repo_id IS NOT NULL;
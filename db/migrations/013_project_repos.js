@@ -0,0 +1,54 @@
+// Projects spanning several repositories
+// Repo columns move from projects to project_repos; commits record which repo they came from
+
+exports.foreignKeys = false;
+
+exports.up = (db) => {
+  db.exec(`
+    -- One row per repo a config entry lists, keyed by the name in config/projects.json.
+    -- repo follows GitHub renames; inactive rows belong to archived projects or repos dropped from an entry
+    CREATE TABLE project_repos (
+      project_id TEXT NOT NULL REFERENCES projects(id),
+      config_repo TEXT NOT NULL COLLATE NOCASE,
+      repo TEXT NOT NULL,
+      github_repo_id INTEGER,
+      repo_archived_at TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (project_id, config_repo)
+    );
+
+    INSERT INTO project_repos (
+      project_id, config_repo, repo, github_repo_id, repo_archived_at, position, active, created_at, updated_at
+    )
+    SELECT id, COALESCE(config_repo, repo), repo, github_repo_id, repo_archived_at, 0, status = 'active',
+           created_at, updated_at
+    FROM projects;
+
+    CREATE UNIQUE INDEX idx_project_repos_active_repo ON project_repos(repo COLLATE NOCASE) WHERE active = 1;
+    CREATE UNIQUE INDEX idx_project_repos_active_github_repo_id
+      ON project_repos(github_repo_id) WHERE active = 1 AND github_repo_id IS NOT NULL;
+
+    ALTER TABLE commits ADD COLUMN repo TEXT;
+    UPDATE commits SET repo = (SELECT p.repo FROM projects p WHERE p.id = commits.project_id);
+    CREATE INDEX idx_commits_project_repo_time ON commits(project_id, repo, committed_at);
+
+    CREATE TABLE projects_new (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      workspace_path TEXT,
+      status TEXT NOT NULL DEFAULT 'active',  -- active | archived
+      archived_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    INSERT INTO projects_new (id, name, workspace_path, status, archived_at, created_at, updated_at)
+    SELECT id, name, workspace_path, status, archived_at, created_at, updated_at FROM projects;
+
+    DROP TABLE projects;
+    ALTER TABLE projects_new RENAME TO projects;
+  `);
+};
@@ -0,0 +1,22 @@
+-- Path-based routing of monorepo commits to several projects
+-- project_repos.paths: JSON array of path prefixes, NULL = the repo's fallback project (unmatched paths)
+
+ALTER TABLE project_repos ADD COLUMN paths TEXT;
+
+-- A repo may now be listed by several projects; only its fallback row stays unique
+DROP INDEX IF EXISTS idx_project_repos_active_repo;
+DROP INDEX IF EXISTS idx_project_repos_active_github_repo_id;
+CREATE UNIQUE INDEX idx_project_repos_active_fallback ON project_repos(repo COLLATE NOCASE) WHERE active = 1 AND paths IS NULL;
+CREATE INDEX idx_project_repos_repo ON project_repos(repo COLLATE NOCASE);
+CREATE INDEX idx_project_repos_github_repo_id ON project_repos(github_repo_id);
+
+-- Every project a commit is attributed to; commits.project_id stays as the primary one
+CREATE TABLE IF NOT EXISTS commit_projects (
+  sha TEXT NOT NULL REFERENCES commits(sha),
+  project_id TEXT NOT NULL REFERENCES projects(id),
+  PRIMARY KEY (sha, project_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_projects_project ON commit_projects(project_id, sha);
+
+INSERT INTO commit_projects (sha, project_id) SELECT sha, project_id FROM commits;
@@ -0,0 +1,20 @@
+-- Commits that appear in several repos — forks, mirrors, repos cut from a template
+-- commit_projects says which projects a SHA belongs to; commit_repos records every repo it reached each one through.
+-- commits.repo stays the repo the SHA was first ingested from
+
+CREATE TABLE IF NOT EXISTS commit_repos (
+  sha TEXT NOT NULL REFERENCES commits(sha),
+  project_id TEXT NOT NULL REFERENCES projects(id),
+  repo TEXT NOT NULL COLLATE NOCASE,
+  first_seen_at TEXT NOT NULL,
+  PRIMARY KEY (sha, project_id, repo)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_repos_project_repo ON commit_repos(project_id, repo);
+CREATE INDEX IF NOT EXISTS idx_commit_repos_repo ON commit_repos(repo, sha);
+
+INSERT INTO commit_repos (sha, project_id, repo, first_seen_at)
+SELECT cp.sha, cp.project_id, c.repo, c.ingested_at
+FROM commit_projects cp
+INNER JOIN commits c ON c.sha = cp.sha
+WHERE c.repo IS NOT NULL;
@@ -0,0 +1,8 @@
+-- Project categories and tags
+-- category: one group per project, shared with the heatmap color bands in scripts/color-palette.js
+-- tags: JSON array of free-form labels
+
+ALTER TABLE projects ADD COLUMN category TEXT;
+ALTER TABLE projects ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_projects_category ON projects(category COLLATE NOCASE);
@@ -0,0 +1,13 @@
+-- Pushes from repos missing from config/projects.json, held until the repo is approved
+-- The commits themselves stay in the journaled delivery payload; approving runs those deliveries
+
+CREATE TABLE IF NOT EXISTS pending_pushes (
+  delivery_id TEXT PRIMARY KEY REFERENCES webhook_deliveries(id),
+  repo TEXT NOT NULL COLLATE NOCASE,
+  github_repo_id INTEGER,
+  branch TEXT,
+  commit_count INTEGER NOT NULL,
+  received_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_pushes_repo ON pending_pushes(repo, received_at);
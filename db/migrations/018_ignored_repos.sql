@@ -0,0 +1,8 @@
+-- Repos never ingested, mirrored from data/ignored-repos.json by seedIgnoredReposFromConfig()
+-- name is a bare repo name (matches any owner) or owner/name
+
+CREATE TABLE IF NOT EXISTS ignored_repos (
+  name TEXT PRIMARY KEY COLLATE NOCASE,
+  reason TEXT,
+  ignored_at TEXT
+);
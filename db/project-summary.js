@@ -0,0 +1,86 @@
+// Weekly-blurb aggregates for GET /api/projects/:id/summary, built from getProjectCommitsInWindow() rows
+
+const { workTypeOf } = require('../ingest/commit-parser');
+
+const TOP_AUTHORS = 5;
+const NOTABLE_COMMITS = 5;
+// Feature and fix work outranks upkeep when picking notable commits; ties go to the bigger change
+const NOTABLE_TYPE_RANK = ['feat', 'fix', 'perf', 'refactor', 'other', 'test', 'docs', 'build', 'ci', 'style', 'chore'];
+
+function subjectOf(message) {
+  return (message || '').trim().split('\n')[0].trim();
+}
+
+// dayOf maps a UTC timestamp to its local day, as on /api/activity/daily
+function summarizeWindow(commits, { dayOf }) {
+  return {
+    commitCount: commits.length,
+    activeDays: new Set(commits.map((commit) => dayOf(commit.committedAt))).size,
+    firstCommitAt: commits.length > 0 ? commits[0].committedAt : null,
+    lastCommitAt: commits.length > 0 ? commits[commits.length - 1].committedAt : null,
+    additions: commits.reduce((sum, commit) => sum + commit.additions, 0),
+    deletions: commits.reduce((sum, commit) => sum + commit.deletions, 0)
+  };
+}
+
+function countBy(commits, keyOf) {
+  const counts = new Map();
+  for (const commit of commits) {
+    const key = keyOf(commit);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function topAuthors(commits) {
+  const names = new Map(commits.map((commit) => [commit.authorId ?? commit.author, commit]));
+  return [...countBy(commits, (commit) => commit.authorId ?? commit.author)]
+    .map(([key, commitCount]) => ({ name: names.get(key).author, authorId: names.get(key).authorId, commitCount }))
+    .sort((a, b) => b.commitCount - a.commitCount || a.name.localeCompare(b.name))
+    .slice(0, TOP_AUTHORS);
+}
+
+function workTypes(commits) {
+  return [...countBy(commits, (commit) => workTypeOf(commit.message))]
+    .map(([type, commitCount]) => ({ type, commitCount }))
+    .sort((a, b) => b.commitCount - a.commitCount || a.type.localeCompare(b.type));
+}
+
+function notableCommits(commits) {
+  const rank = (commit) => NOTABLE_TYPE_RANK.indexOf(workTypeOf(commit.message));
+  const size = (commit) => commit.additions + commit.deletions;
+  return [...commits]
+    .sort((a, b) => rank(a) - rank(b) || size(b) - size(a) || b.committedAt.localeCompare(a.committedAt))
+    .slice(0, NOTABLE_COMMITS)
+    .map((commit) => ({
+      sha: commit.sha,
+      subject: subjectOf(commit.message),
+      type: workTypeOf(commit.message),
+      author: commit.author,
+      committedAt: commit.committedAt,
+      url: commit.url,
+      additions: commit.additions,
+      deletions: commit.deletions
+    }));
+}
+
+// current and previous are the commits of two back-to-back windows of the same length
+function summarizeProject(current, previous, { dayOf }) {
+  const summary = summarizeWindow(current, { dayOf });
+  const before = summarizeWindow(previous, { dayOf });
+  return {
+    ...summary,
+    topAuthors: topAuthors(current),
+    workTypes: workTypes(current),
+    notableCommits: notableCommits(current),
+    previous: before,
+    change: Object.fromEntries(
+      ['commitCount', 'activeDays', 'additions', 'deletions'].map((key) => [key, summary[key] - before[key]])
+    )
+  };
+}
+
+module.exports = {
+  summarizeWindow,
+  summarizeProject
+};
@@ -0,0 +1,180 @@
+// config/projects.json — monitored repos, applied to SQLite by seedProjectsFromConfig() and re-applied on change
+
+const fs = require('fs');
+const path = require('path');
+
+// PROJECTS_CONFIG points elsewhere (tests, a config kept outside the checkout)
+const PROJECTS_CONFIG_PATH = process.env.PROJECTS_CONFIG || path.join(__dirname, '../config/projects.json');
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+// "apps/web", "./apps/web/" and "/apps/web" all mean the apps/web directory
+function normalizePathPrefix(prefix) {
+  return prefix.trim().replace(/^\.?\/+/, '').replace(/\/+$/, '');
+}
+
+// `repo` (single) and `repos` (array) may be combined; `repo` comes first.
+// A `repos` item is "owner/name" or { repo, paths } — paths limit the project to those subdirectories
+function projectRepos(entry) {
+  const links = [
+    ...(entry.repo ? [entry.repo] : []),
+    ...(entry.repos || [])
+  ].map((item) => (typeof item === 'string'
+    ? { repo: item, paths: null }
+    : { repo: item.repo, paths: item.paths ? item.paths.map(normalizePathPrefix) : null }));
+
+  return links.filter((link, index) =>
+    links.findIndex((other) => other.repo.toLowerCase() === link.repo.toLowerCase()) === index
+  );
+}
+
+// Trimmed, duplicates (ignoring case) dropped, first spelling kept
+function projectTags(entry) {
+  const tags = (entry.tags || []).map((tag) => tag.trim());
+  return tags.filter((tag, index) =>
+    tags.findIndex((other) => other.toLowerCase() === tag.toLowerCase()) === index
+  );
+}
+
+function isRepoItem(item) {
+  if (typeof item === 'string') return true;
+  return Boolean(item) && typeof item.repo === 'string'
+    && Array.isArray(item.paths) && item.paths.length > 0
+    && item.paths.every((prefix) => typeof prefix === 'string' && normalizePathPrefix(prefix));
+}
+
+function validateProjectsConfig(config) {
+  if (!Array.isArray(config)) {
+    throw new Error('config/projects.json must be a JSON array');
+  }
+
+  const ids = new Set();
+  // lower-cased repo → { fallback: entry id listing it without paths, split: whether any entry has paths }
+  const repos = new Map();
+  config.forEach((entry, index) => {
+    for (const field of ['id', 'name']) {
+      if (!entry || typeof entry[field] !== 'string' || !entry[field].trim()) {
+        throw new Error(`config/projects.json entry ${index} needs a non-empty "${field}"`);
+      }
+    }
+    if (entry.repo !== undefined && typeof entry.repo !== 'string') {
+      throw new Error(`config/projects.json entry "${entry.id}": "repo" must be a string`);
+    }
+    if (entry.repos !== undefined && (!Array.isArray(entry.repos) || !entry.repos.every(isRepoItem))) {
+      throw new Error(`config/projects.json entry "${entry.id}": "repos" items must be "owner/name" or { "repo", "paths": [...] }`);
+    }
+    // A local-only project (no GitHub remote) is ingested from its workspacePath by ingest/local-git.js
+    const entryRepos = projectRepos(entry);
+    if (entryRepos.length === 0 && !(typeof entry.workspacePath === 'string' && entry.workspacePath.trim())) {
+      throw new Error(`config/projects.json entry "${entry.id}" needs a "repo", non-empty "repos", or a "workspacePath"`);
+    }
+    for (const { repo, paths } of entryRepos) {
+      if (!REPO_PATTERN.test(repo)) {
+        throw new Error(`config/projects.json entry "${entry.id}": repo "${repo}" must be owner/name`);
+      }
+      const seen = repos.get(repo.toLowerCase()) || { fallback: null, split: false };
+      if (!paths && seen.fallback) {
+        throw new Error(`config/projects.json: repo "${repo}" is listed more than once without "paths"`);
+      }
+      repos.set(repo.toLowerCase(), {
+        fallback: paths ? seen.fallback : entry.id,
+        split: seen.split || Boolean(paths),
+        repo
+      });
+    }
+    if (entry.workspacePath !== undefined && entry.workspacePath !== null && typeof entry.workspacePath !== 'string') {
+      throw new Error(`config/projects.json entry "${entry.id}": "workspacePath" must be a string`);
+    }
+    if (entry.category !== undefined && entry.category !== null
+      && (typeof entry.category !== 'string' || !entry.category.trim())) {
+      throw new Error(`config/projects.json entry "${entry.id}": "category" must be a non-empty string`);
+    }
+    if (entry.tags !== undefined
+      && (!Array.isArray(entry.tags) || !entry.tags.every((tag) => typeof tag === 'string' && tag.trim()))) {
+      throw new Error(`config/projects.json entry "${entry.id}": "tags" must be an array of non-empty strings`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`config/projects.json: id "${entry.id}" is listed more than once`);
+    }
+    ids.add(entry.id);
+  });
+
+  // Commits touching no configured prefix (or with no file list) need somewhere to go
+  for (const { fallback, split, repo } of repos.values()) {
+    if (split && !fallback) {
+      throw new Error(`config/projects.json: repo "${repo}" is split by "paths" but no entry lists it without paths as the fallback`);
+    }
+  }
+
+  return config;
+}
+
+function loadProjectsConfig(configPath = PROJECTS_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    console.warn(`⚠️ No projects config at ${configPath}`);
+    return [];
+  }
+  const raw = fs.readFileSync(configPath, 'utf8');
+  return validateProjectsConfig(JSON.parse(raw));
+}
+
+// Temp file + rename so a crash mid-write never leaves a truncated config; the previous file is kept as .bak
+function writeProjectsConfig(config, configPath = PROJECTS_CONFIG_PATH) {
+  const validated = validateProjectsConfig(config);
+  if (fs.existsSync(configPath)) {
+    fs.copyFileSync(configPath, `${configPath}.bak`);
+  }
+  const tmpPath = `${configPath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(validated, null, 2)}\n`);
+  fs.renameSync(tmpPath, configPath);
+  return validated;
+}
+
+let watcher = null;
+
+// Polls (fs.watchFile) rather than fs.watch so editors that replace the file on save are still seen.
+// onChange only receives a config that parsed and validated — a broken edit keeps the previous one live
+function watchProjectsConfig(onChange, { configPath = PROJECTS_CONFIG_PATH, interval = 1000 } = {}) {
+  unwatchProjectsConfig();
+
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (curr.mtimeMs === 0) {
+      console.error(`❌ ${configPath} was removed — keeping the current projects`);
+      return;
+    }
+
+    let config;
+    try {
+      config = loadProjectsConfig(configPath);
+    } catch (error) {
+      console.error(`❌ Ignoring invalid ${path.basename(configPath)} — keeping the current projects: ${error.message}`);
+      return;
+    }
+    try {
+      onChange(config);
+    } catch (error) {
+      console.error(`❌ Failed to apply ${path.basename(configPath)}: ${error.message}`);
+    }
+  };
+
+  watcher = { configPath, listener };
+  fs.watchFile(configPath, { interval, persistent: false }, listener);
+}
+
+function unwatchProjectsConfig() {
+  if (!watcher) return;
+  fs.unwatchFile(watcher.configPath, watcher.listener);
+  watcher = null;
+}
+
+module.exports = {
+  PROJECTS_CONFIG_PATH,
+  loadProjectsConfig,
+  writeProjectsConfig,
+  projectRepos,
+  projectTags,
+  normalizePathPrefix,
+  validateProjectsConfig,
+  watchProjectsConfig,
+  unwatchProjectsConfig
+};
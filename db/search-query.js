@@ -0,0 +1,67 @@
+// Search query syntax for GET /api/search:
+//   project:devra author:patrick after:2026-06-01 before:2026-07-01 "webhook secret" sqlite
+
+const TOKEN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const FILTER_KEYS = new Set(['project', 'author', 'after', 'before']);
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') && value.length >= 2 ? value.slice(1, -1) : value;
+}
+
+function parseDateFilter(key, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `Invalid ${key}: date "${value}" is not ISO8601` };
+  }
+  return { date: date.toISOString() };
+}
+
+// FTS5 string literals: every term is quoted so user input can never reach the MATCH grammar
+function quoteFtsTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+function parseSearchQuery(input) {
+  const query = {
+    terms: [],
+    phrases: [],
+    projects: [],
+    author: null,
+    after: null,
+    before: null
+  };
+
+  for (const match of String(input || '').matchAll(TOKEN)) {
+    const [, key, rawValue, phrase, word] = match;
+
+    if (key && FILTER_KEYS.has(key.toLowerCase())) {
+      const value = unquote(rawValue).trim();
+      const filter = key.toLowerCase();
+      if (!value) continue;
+
+      if (filter === 'project') {
+        query.projects.push(value);
+      } else if (filter === 'author') {
+        query.author = value;
+      } else {
+        const result = parseDateFilter(filter, value);
+        if (result.error) {
+          return { error: result.error };
+        }
+        query[filter] = result.date;
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) query.phrases.push(phrase.trim());
+    } else {
+      // Unknown "key:value" pairs (e.g. "fix:") are plain words
+      const text = (word || match[0]).replace(/[^\p{L}\p{N}_.\-/]+/gu, ' ').trim();
+      query.terms.push(...text.split(/\s+/).filter(Boolean));
+    }
+  }
+
+  const ftsParts = [...query.phrases, ...query.terms].map(quoteFtsTerm);
+  query.match = ftsParts.length > 0 ? ftsParts.join(' ') : null;
+  return { query };
+}
+
+module.exports = { parseSearchQuery };
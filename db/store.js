@@ -1,9 +1,11 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
-
-const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
-const PROJECTS_CONFIG_PATH = path.join(__dirname, '../config/projects.json');
+const zlib = require('zlib');
+const { migrate } = require('./migrate');
+const { loadAuthorsConfig } = require('./authors-config');
+const { loadProjectsConfig, projectRepos, projectTags } = require('./projects-config');
+const { loadIgnoredRepos, findIgnoredEntry } = require('./ignored-repos');
 
 let db = null;
 
@@ -20,19 +22,6 @@ function getDbPath() {
   return path.join(getDataDir(), 'activity.db');
 }
 
-function loadProjectsConfig() {
-  if (!fs.existsSync(PROJECTS_CONFIG_PATH)) {
-    console.warn(`⚠️ No projects config at ${PROJECTS_CONFIG_PATH}`);
-    return [];
-  }
-  const raw = fs.readFileSync(PROJECTS_CONFIG_PATH, 'utf8');
-  const config = JSON.parse(raw);
-  if (!Array.isArray(config)) {
-    throw new Error('config/projects.json must be a JSON array');
-  }
-  return config;
-}
-
 function initDb() {
   if (db) return db;
 
@@ -40,160 +29,1567 @@ function initDb() {
   db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
 
-  const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-  db.exec(schema);
+  try {
+    migrate(db);
+  } catch (error) {
+    db.close();
+    db = null;
+    throw error;
+  }
 
   return db;
 }
 
-function seedProjectsFromConfig() {
+// Upserts every configured project as active and archives the ones no longer listed (their commits stay).
+// Each listed repo gets an active project_repos row; repos dropped from an entry are deactivated
+function seedProjectsFromConfig(config = loadProjectsConfig()) {
   const database = initDb();
-  const config = loadProjectsConfig();
   const now = new Date().toISOString();
 
-  const upsert = database.prepare(`
-    INSERT INTO projects (id, name, repo, workspace_path, created_at, updated_at)
-    VALUES (@id, @name, @repo, @workspacePath, @now, @now)
+  const upsertProject = database.prepare(`
+    INSERT INTO projects (id, name, workspace_path, category, tags, status, archived_at, created_at, updated_at)
+    VALUES (@id, @name, @workspacePath, @category, @tags, 'active', NULL, @now, @now)
     ON CONFLICT(id) DO UPDATE SET
       name = excluded.name,
-      repo = excluded.repo,
       workspace_path = excluded.workspace_path,
+      category = excluded.category,
+      tags = excluded.tags,
+      status = 'active',
+      archived_at = NULL,
+      updated_at = excluded.updated_at
+  `);
+  // repo is left alone on conflict: a rename learned from GitHub wins until the config entry itself changes
+  const upsertRepo = database.prepare(`
+    INSERT INTO project_repos (project_id, config_repo, repo, paths, position, active, created_at, updated_at)
+    VALUES (@projectId, @repo, @repo, @paths, @position, 1, @now, @now)
+    ON CONFLICT(project_id, config_repo) DO UPDATE SET
+      paths = excluded.paths,
+      position = excluded.position,
+      active = 1,
       updated_at = excluded.updated_at
   `);
 
   const seedAll = database.transaction((projects) => {
+    const ids = new Set(projects.map((project) => project.id));
+    const listed = new Set(projects.flatMap((project) =>
+      projectRepos(project).map(({ repo }) => `${project.id}\n${repo.toLowerCase()}`)
+    ));
+
+    // Deactivate first so a repo moving to another project is free before the upsert claims it
+    const archived = database.prepare("SELECT id FROM projects WHERE status = 'active'").all()
+      .map((row) => row.id)
+      .filter((id) => !ids.has(id));
+    const archive = database.prepare(
+      "UPDATE projects SET status = 'archived', archived_at = @now, updated_at = @now WHERE id = @id"
+    );
+    for (const id of archived) {
+      archive.run({ id, now });
+    }
+
+    const deactivate = database.prepare(`
+      UPDATE project_repos SET active = 0, updated_at = @now WHERE project_id = @projectId AND config_repo = @configRepo
+    `);
+    for (const row of database.prepare('SELECT project_id, config_repo FROM project_repos WHERE active = 1').all()) {
+      if (!listed.has(`${row.project_id}\n${row.config_repo.toLowerCase()}`)) {
+        deactivate.run({ projectId: row.project_id, configRepo: row.config_repo, now });
+      }
+    }
+
     for (const project of projects) {
-      upsert.run({
+      upsertProject.run({
         id: project.id,
         name: project.name,
-        repo: project.repo,
         workspacePath: project.workspacePath || null,
+        category: project.category?.trim() || null,
+        tags: JSON.stringify(projectTags(project)),
         now
       });
+      projectRepos(project).forEach(({ repo, paths }, position) => {
+        upsertRepo.run({ projectId: project.id, repo, paths: paths ? JSON.stringify(paths) : null, position, now });
+      });
     }
+    return archived;
   });
 
-  seedAll(config);
+  const archived = seedAll(config);
   console.log(`📁 Seeded ${config.length} projects from config/projects.json`);
+  if (archived.length > 0) {
+    console.log(`📦 Archived ${archived.length} project(s) no longer in config: ${archived.join(', ')}`);
+  }
+  warnStaleConfigRepos();
+  return { active: config.length, archived };
+}
+
+function warnStaleConfigRepos() {
+  const stale = initDb().prepare(`
+    SELECT project_id, repo, config_repo FROM project_repos
+    WHERE active = 1 AND repo != config_repo COLLATE NOCASE
+  `).all();
+  for (const row of stale) {
+    console.warn(`⚠️ config/projects.json lists ${row.config_repo} for "${row.project_id}", but GitHub now calls it ${row.repo} — update the file`);
+  }
+  return stale.length;
+}
+
+const ALIAS_KINDS = [
+  ['emails', 'email'],
+  ['names', 'name'],
+  ['logins', 'login']
+];
+
+function createAuthor(name) {
+  const now = new Date().toISOString();
+  return Number(initDb().prepare(
+    'INSERT INTO authors (name, created_at, updated_at) VALUES (?, ?, ?)'
+  ).run(name, now, now).lastInsertRowid);
 }
 
+// override: config aliases win over ones learned from commits
+function addAuthorAliases(authorId, aliases, { override = false } = {}) {
+  const stmt = initDb().prepare(`
+    INSERT INTO author_aliases (kind, value, author_id) VALUES (?, ?, ?)
+    ON CONFLICT(kind, value) DO ${override ? 'UPDATE SET author_id = excluded.author_id' : 'NOTHING'}
+  `);
+  for (const [kind, value] of aliases) {
+    stmt.run(kind, value, authorId);
+  }
+}
+
+// Drops aliases an edit took away from the author; `removed` has a config entry's emails / names / logins.
+// Its commits are unlinked so the next relinkCommitAuthors() re-resolves them against the aliases that remain
+function removeAuthorAliases(authorId, removed) {
+  const database = initDb();
+  const remove = database.prepare('DELETE FROM author_aliases WHERE kind = ? AND value = ? AND author_id = ?');
+  let count = 0;
+  for (const [field, kind] of ALIAS_KINDS) {
+    for (const value of removed[field] || []) {
+      count += remove.run(kind, value, authorId).changes;
+    }
+  }
+  if (count > 0) {
+    database.prepare('UPDATE commits SET author_id = NULL WHERE author_id = ?').run(authorId);
+  }
+  return count;
+}
+
+function findAuthorIdsByAliases(aliases) {
+  const lookup = initDb().prepare('SELECT author_id FROM author_aliases WHERE kind = ? AND value = ?');
+  const ids = [];
+  for (const [kind, value] of aliases) {
+    const row = lookup.get(kind, value);
+    if (row && !ids.includes(row.author_id)) {
+      ids.push(row.author_id);
+    }
+  }
+  return ids;
+}
+
+function mergeAuthors(targetId, sourceIds) {
+  const database = initDb();
+  for (const sourceId of sourceIds) {
+    if (sourceId === targetId) continue;
+    database.prepare('UPDATE author_aliases SET author_id = ? WHERE author_id = ?').run(targetId, sourceId);
+    database.prepare('UPDATE commits SET author_id = ? WHERE author_id = ?').run(targetId, sourceId);
+    database.prepare('DELETE FROM authors WHERE id = ?').run(sourceId);
+  }
+}
+
+// Match order: email, then GitHub login, then display name; an unmatched identity becomes a new author
+function resolveAuthorId({ name, email, login }) {
+  const aliases = [
+    ['email', email],
+    ['login', login],
+    ['name', name === 'unknown' ? null : name]
+  ].filter(([, value]) => value);
+
+  if (aliases.length === 0) {
+    return null;
+  }
+
+  const [existingId] = findAuthorIdsByAliases(aliases);
+  const authorId = existingId || createAuthor(name || login || email);
+  addAuthorAliases(authorId, aliases);
+  return authorId;
+}
+
+function applyAuthorsConfig(entries) {
+  const database = initDb();
+  const now = new Date().toISOString();
+
+  for (const entry of entries) {
+    const aliases = [['name', entry.name]];
+    for (const [field, kind] of ALIAS_KINDS) {
+      for (const value of entry[field]) {
+        aliases.push([kind, value]);
+      }
+    }
+
+    // Every author already holding one of these aliases is the same person — fold them into the oldest
+    const matched = findAuthorIdsByAliases(aliases);
+    const authorId = matched.length > 0 ? Math.min(...matched) : createAuthor(entry.name);
+    mergeAuthors(authorId, matched);
+
+    database.prepare('UPDATE authors SET name = ?, updated_at = ? WHERE id = ?').run(entry.name, now, authorId);
+    addAuthorAliases(authorId, aliases, { override: true });
+  }
+}
+
+function relinkCommitAuthors() {
+  const database = initDb();
+  const identities = database.prepare(`
+    SELECT DISTINCT author, author_email, author_login FROM commits WHERE author_id IS NULL
+  `).all();
+  const update = database.prepare(`
+    UPDATE commits SET author_id = @authorId
+    WHERE author_id IS NULL AND author IS @author AND author_email IS @email AND author_login IS @login
+  `);
+
+  let linked = 0;
+  for (const identity of identities) {
+    const authorId = resolveAuthorId({
+      name: identity.author,
+      email: identity.author_email,
+      login: identity.author_login
+    });
+    if (authorId) {
+      linked += update.run({
+        authorId,
+        author: identity.author,
+        email: identity.author_email,
+        login: identity.author_login
+      }).changes;
+    }
+  }
+  return linked;
+}
+
+function seedAuthorsFromConfig() {
+  const database = initDb();
+  const config = loadAuthorsConfig();
+
+  const linked = database.transaction(() => {
+    applyAuthorsConfig(config);
+    return relinkCommitAuthors();
+  })();
+
+  console.log(`👤 Applied ${config.length} author identities from config/authors.json${linked > 0 ? ` (${linked} commits relinked)` : ''}`);
+}
+
+function mapAuthorRow(row, aliases) {
+  const own = aliases.filter((alias) => alias.author_id === row.id);
+  const valuesOf = (kind) => own.filter((alias) => alias.kind === kind).map((alias) => alias.value);
+  return {
+    id: row.id,
+    name: row.name,
+    emails: valuesOf('email'),
+    names: valuesOf('name'),
+    logins: valuesOf('login'),
+    commitCount: row.commit_count,
+    lastCommitAt: row.last_commit_at || null
+  };
+}
+
+function listAuthors() {
+  const database = initDb();
+  const aliases = database.prepare('SELECT kind, value, author_id FROM author_aliases ORDER BY value').all();
+  return database.prepare(`
+    SELECT a.id, a.name, COUNT(c.sha) AS commit_count, MAX(c.committed_at) AS last_commit_at
+    FROM authors a
+    LEFT JOIN commits c ON c.author_id = a.id
+    GROUP BY a.id
+    ORDER BY commit_count DESC, a.name COLLATE NOCASE
+  `).all().map((row) => mapAuthorRow(row, aliases));
+}
+
+function getAuthorById(id) {
+  const database = initDb();
+  const row = database.prepare(`
+    SELECT a.id, a.name, COUNT(c.sha) AS commit_count, MAX(c.committed_at) AS last_commit_at
+    FROM authors a
+    LEFT JOIN commits c ON c.author_id = a.id
+    WHERE a.id = ?
+    GROUP BY a.id
+  `).get(id);
+  if (!row) return null;
+  const aliases = database.prepare('SELECT kind, value, author_id FROM author_aliases WHERE author_id = ?').all(id);
+  return mapAuthorRow(row, aliases);
+}
+
+// Project row plus the matched repo link. Only active links ingest — an archived project's repos count as unconfigured.
+// A repo split by paths resolves to its fallback project; getRepoRoutes() lists the rest
+const PROJECT_REPO_SELECT = `
+  SELECT p.*, pr.repo, pr.config_repo, pr.github_repo_id, pr.repo_archived_at
+  FROM project_repos pr
+  INNER JOIN projects p ON p.id = pr.project_id
+  WHERE pr.active = 1
+`;
+const FALLBACK_FIRST = 'ORDER BY pr.paths IS NOT NULL, pr.position LIMIT 1';
+
 function getProjectByRepo(repo) {
-  return initDb().prepare('SELECT * FROM projects WHERE repo = ? COLLATE NOCASE').get(repo);
+  return initDb().prepare(`${PROJECT_REPO_SELECT} AND pr.repo = ? COLLATE NOCASE ${FALLBACK_FIRST}`).get(repo);
 }
 
 function getProjectById(id) {
   return initDb().prepare('SELECT * FROM projects WHERE id = ?').get(id);
 }
 
-function getMostRecentCommitAt(projectId) {
-  const row = initDb().prepare(
-    'SELECT MAX(committed_at) AS committed_at FROM commits WHERE project_id = ?'
-  ).get(projectId);
+function getProjectByGithubRepoId(githubRepoId) {
+  return initDb().prepare(`${PROJECT_REPO_SELECT} AND pr.github_repo_id = ? ${FALLBACK_FIRST}`).get(githubRepoId);
+}
+
+// Every project fed by a repo, fallback (paths null) first — input to ingest/path-routing.js
+function getRepoRoutes(repo) {
+  return initDb().prepare(`
+    SELECT pr.project_id, pr.paths FROM project_repos pr
+    INNER JOIN projects p ON p.id = pr.project_id
+    WHERE pr.active = 1 AND pr.repo = ? COLLATE NOCASE
+    ORDER BY pr.paths IS NOT NULL, p.id
+  `).all(repo).map((row) => ({
+    projectId: row.project_id,
+    paths: row.paths ? JSON.parse(row.paths) : null
+  }));
+}
+
+// Active repos of a project, in config order
+function getProjectRepos(projectId) {
+  return initDb().prepare(`
+    SELECT repo, config_repo, paths, github_repo_id, repo_archived_at FROM project_repos
+    WHERE project_id = ? AND active = 1
+    ORDER BY position
+  `).all(projectId).map((row) => ({
+    repo: row.repo,
+    configRepo: row.config_repo,
+    paths: row.paths ? JSON.parse(row.paths) : null,
+    githubRepoId: row.github_repo_id,
+    repoArchivedAt: row.repo_archived_at
+  }));
+}
+
+// Links a repo to GitHub's numeric id and follows its current full_name
+function updateProjectRepository(repo, { githubRepoId = null, fullName }) {
+  const database = initDb();
+  database.prepare(`
+    UPDATE project_repos SET github_repo_id = COALESCE(@githubRepoId, github_repo_id), repo = @fullName, updated_at = @now
+    WHERE active = 1 AND repo = @repo COLLATE NOCASE
+  `).run({ repo, githubRepoId, fullName, now: new Date().toISOString() });
+
+  const project = getProjectByRepo(fullName);
+  if (repo.toLowerCase() !== fullName.toLowerCase()) {
+    // Keep per-repo history under the current name so incremental backfill and force-push checks still match
+    database.prepare('UPDATE OR IGNORE commit_repos SET repo = @fullName WHERE repo = @repo').run({ repo, fullName });
+    database.prepare('DELETE FROM commit_repos WHERE repo = @repo').run({ repo });
+    console.warn(`⚠️ Repo of project "${project?.id}" moved on GitHub: ${repo} → ${fullName}`);
+    warnStaleConfigRepos();
+  }
+  return project;
+}
+
+function setProjectRepoArchived(repo, archived) {
+  const now = new Date().toISOString();
+  initDb().prepare(`
+    UPDATE project_repos SET repo_archived_at = @archivedAt, updated_at = @now
+    WHERE active = 1 AND repo = @repo COLLATE NOCASE
+  `).run({ repo, archivedAt: archived ? now : null, now });
+  return getProjectByRepo(repo);
+}
+
+// Webhooks: the numeric repo id survives renames and transfers; full_name covers repos not linked yet
+function resolveProjectByRepository({ githubRepoId = null, fullName }) {
+  if (githubRepoId) {
+    const byId = getProjectByGithubRepoId(githubRepoId);
+    if (byId) {
+      return byId.repo.toLowerCase() === fullName.toLowerCase()
+        ? byId
+        : updateProjectRepository(byId.repo, { githubRepoId, fullName });
+    }
+  }
+
+  const byName = getProjectByRepo(fullName);
+  if (!byName || !githubRepoId) {
+    return byName;
+  }
+  if (byName.github_repo_id && byName.github_repo_id !== githubRepoId) {
+    // Same name, different repository — the linked one was renamed away and this is a newcomer
+    console.warn(`⚠️ ${fullName} is GitHub repo ${githubRepoId}, but project "${byName.id}" is linked to ${byName.github_repo_id} — not ingesting`);
+    return undefined;
+  }
+  return byName.github_repo_id ? byName : updateProjectRepository(byName.repo, { githubRepoId, fullName });
+}
+
+// repo narrows to one of the project's repos (incremental backfill runs per repo)
+function getMostRecentCommitAt(projectId, repo = null) {
+  const row = initDb().prepare(`
+    SELECT MAX(c.committed_at) AS committed_at FROM commits c
+    INNER JOIN commit_projects cp ON cp.sha = c.sha
+    WHERE cp.project_id = @projectId
+      AND (@repo IS NULL OR EXISTS (
+        SELECT 1 FROM commit_repos cr WHERE cr.sha = c.sha AND cr.project_id = @projectId AND cr.repo = @repo
+      ))
+  `).get({ projectId, repo });
   return row?.committed_at ? new Date(row.committed_at) : null;
 }
 
+function countProjectCommits(projectId) {
+  return initDb().prepare('SELECT COUNT(*) AS count FROM commit_projects WHERE project_id = ?').get(projectId).count;
+}
+
+// Hands a renamed project's history to its new id, then drops the old row (seed has already created the new one)
+function moveProjectCommits(fromId, toId) {
+  const database = initDb();
+  const move = database.transaction(() => {
+    const params = { fromId, toId };
+    const moved = database.prepare('UPDATE commits SET project_id = @toId WHERE project_id = @fromId').run(params).changes;
+    for (const table of ['commit_projects', 'commit_repos']) {
+      database.prepare(`UPDATE OR IGNORE ${table} SET project_id = @toId WHERE project_id = @fromId`).run(params);
+      database.prepare(`DELETE FROM ${table} WHERE project_id = @fromId`).run(params);
+    }
+    // Keep what GitHub taught the old links (numeric id, current name) so pushes still resolve
+    database.prepare(`
+      UPDATE project_repos SET
+        repo = (SELECT o.repo FROM project_repos o WHERE o.project_id = @fromId AND o.config_repo = project_repos.config_repo),
+        github_repo_id = (
+          SELECT o.github_repo_id FROM project_repos o WHERE o.project_id = @fromId AND o.config_repo = project_repos.config_repo
+        )
+      WHERE project_id = @toId AND github_repo_id IS NULL AND EXISTS (
+        SELECT 1 FROM project_repos o WHERE o.project_id = @fromId AND o.config_repo = project_repos.config_repo
+      )
+    `).run(params);
+    database.prepare('DELETE FROM project_repos WHERE project_id = @fromId').run(params);
+    database.prepare('DELETE FROM projects WHERE id = @fromId').run(params);
+    return moved;
+  });
+  return move();
+}
+
 function countCommitsInRange(projectId, since, until) {
   const row = initDb().prepare(`
-    SELECT COUNT(*) AS count FROM commits
-    WHERE project_id = ? AND committed_at >= ? AND committed_at <= ?
+    SELECT COUNT(*) AS count FROM commits c
+    INNER JOIN commit_projects cp ON cp.sha = c.sha
+    WHERE cp.project_id = ? AND c.committed_at >= ? AND c.committed_at <= ?
   `).get(projectId, since, until);
   return row?.count || 0;
 }
 
-function listProjectsWithLastCommit() {
+// status: 'active' (default), 'archived' or 'all'; category/tag narrow to projects labelled that way
+function listProjectsWithLastCommit(filters = {}, { status = 'active', category = null, tag = null } = {}) {
+  const c = buildCommitFilters('c', filters);
+  const p = buildProjectFilters('p', { category, tag });
   return initDb().prepare(`
-    SELECT p.id, p.name, p.repo, p.workspace_path,
-           MAX(c.committed_at) AS last_commit_at
+    SELECT p.id, p.name, p.workspace_path, p.category, p.tags, p.status, p.archived_at,
+           MAX(c.committed_at) AS last_commit_at,
+           (
+             SELECT json_group_array(json_object(
+               'repo', pr.repo, 'paths', json(pr.paths), 'githubRepoId', pr.github_repo_id,
+               'repoArchivedAt', pr.repo_archived_at
+             ))
+             FROM (
+               SELECT * FROM project_repos
+               WHERE project_id = p.id AND (active = 1 OR p.status = 'archived')
+               ORDER BY position
+             ) pr
+           ) AS repos
     FROM projects p
-    LEFT JOIN commits c ON c.project_id = p.id
+    LEFT JOIN commit_projects cp ON cp.project_id = p.id
+    LEFT JOIN commits c ON c.sha = cp.sha${c.sql}
+    WHERE (@status = 'all' OR p.status = @status)${p.sql}
     GROUP BY p.id
     ORDER BY p.name COLLATE NOCASE
-  `).all().map((row) => ({
-    id: row.id,
-    name: row.name,
-    repo: row.repo,
-    workspacePath: row.workspace_path,
-    lastCommitAt: row.last_commit_at || null
-  }));
+  `).all({ ...c.params, ...p.params, status }).map((row) => {
+    const repos = JSON.parse(row.repos);
+    return {
+      id: row.id,
+      name: row.name,
+      // First configured repo — kept for clients that predate multi-repo projects
+      repo: repos[0]?.repo || null,
+      repos,
+      workspacePath: row.workspace_path,
+      category: row.category,
+      tags: JSON.parse(row.tags),
+      status: row.status,
+      archivedAt: row.archived_at,
+      lastCommitAt: row.last_commit_at || null
+    };
+  });
 }
 
-function getActivityInRange(since, until) {
-  return initDb().prepare(`
-    SELECT p.id, p.name,
+// Optional filters shared by the commit read queries, appended as AND clauses on `alias`
+function buildCommitFilters(alias, filters = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (filters.branch) {
+    clauses.push(`EXISTS (SELECT 1 FROM commit_refs r WHERE r.sha = ${alias}.sha AND r.branch = @branch)`);
+    params.branch = filters.branch;
+  }
+  if (!filters.includeRewritten) {
+    clauses.push(`${alias}.rewritten_at IS NULL`);
+  }
+  if (!filters.includeAll) {
+    clauses.push(`${alias}.significant = 1`);
+  }
+
+  return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params };
+}
+
+// Project label filters for the activity and listing queries (category and tag match ignoring case)
+function buildProjectFilters(alias, { category = null, tag = null } = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (category) {
+    clauses.push(`${alias}.category = @category COLLATE NOCASE`);
+    params.category = category;
+  }
+  if (tag) {
+    clauses.push(`EXISTS (SELECT 1 FROM json_each(${alias}.tags) t WHERE t.value = @tag COLLATE NOCASE)`);
+    params.tag = tag;
+  }
+
+  return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params };
+}
+
+// Per-repo commit and line totals, attached to activity rows when `byRepo` is requested.
+// A commit pushed to two of a project's repos counts under both here, but once in the project total
+function getRepoActivityInRange(since, until, filters = {}) {
+  const c = buildCommitFilters('c', filters);
+  const rows = initDb().prepare(`
+    SELECT cr.project_id, cr.repo,
+           COUNT(*) AS commit_count,
+           MAX(c.committed_at) AS last_commit_at,
+           SUM((SELECT SUM(f.additions) FROM commit_files f WHERE f.sha = c.sha)) AS additions,
+           SUM((SELECT SUM(f.deletions) FROM commit_files f WHERE f.sha = c.sha)) AS deletions
+    FROM commit_repos cr
+    INNER JOIN commits c ON c.sha = cr.sha
+    WHERE c.committed_at >= @since AND c.committed_at <= @until${c.sql}
+    GROUP BY cr.project_id, cr.repo
+    ORDER BY commit_count DESC, cr.repo
+  `).all({ since, until, ...c.params });
+
+  const byProject = new Map();
+  for (const row of rows) {
+    if (!byProject.has(row.project_id)) byProject.set(row.project_id, []);
+    byProject.get(row.project_id).push({
+      repo: row.repo,
+      commitCount: row.commit_count,
+      lastCommitAt: row.last_commit_at,
+      additions: row.additions || 0,
+      deletions: row.deletions || 0
+    });
+  }
+  return byProject;
+}
+
+function getActivityInRange(since, until, filters = {}, { byRepo = false, category = null, tag = null } = {}) {
+  const c = buildCommitFilters('c', filters);
+  const c2 = buildCommitFilters('c2', filters);
+  const c3 = buildCommitFilters('c3', filters);
+  const p = buildProjectFilters('p', { category, tag });
+
+  const rows = initDb().prepare(`
+    SELECT p.id, p.name, p.category, p.tags,
            COUNT(c.sha) AS commit_count,
            MAX(c.committed_at) AS last_commit_at,
+           lines.additions, lines.deletions,
+           SUM(EXISTS (
+             SELECT 1 FROM commit_trailers t WHERE t.sha = c.sha AND t.kind = 'co_author'
+           )) AS pair_authored_count,
+           SUM(EXISTS (
+             SELECT 1 FROM commit_trailers t WHERE t.sha = c.sha AND t.kind = 'ai_assist'
+           )) AS ai_assisted_count,
            (
-             SELECT c2.message FROM commits c2
-             WHERE c2.project_id = p.id
-               AND c2.committed_at >= @since AND c2.committed_at <= @until
+             SELECT c2.message FROM commit_projects cp2
+             INNER JOIN commits c2 ON c2.sha = cp2.sha
+             WHERE cp2.project_id = p.id
+               AND c2.committed_at >= @since AND c2.committed_at <= @until${c2.sql}
              ORDER BY c2.committed_at DESC
              LIMIT 1
            ) AS last_commit_message
     FROM projects p
-    INNER JOIN commits c ON c.project_id = p.id
-      AND c.committed_at >= @since AND c.committed_at <= @until
+    INNER JOIN commit_projects cp ON cp.project_id = p.id
+    INNER JOIN commits c ON c.sha = cp.sha
+      AND c.committed_at >= @since AND c.committed_at <= @until${c.sql}
+    LEFT JOIN (
+      SELECT cp3.project_id, SUM(f.additions) AS additions, SUM(f.deletions) AS deletions
+      FROM commit_files f
+      INNER JOIN commits c3 ON c3.sha = f.sha
+      INNER JOIN commit_projects cp3 ON cp3.sha = c3.sha
+      WHERE c3.committed_at >= @since AND c3.committed_at <= @until${c3.sql}
+      GROUP BY cp3.project_id
+    ) lines ON lines.project_id = p.id
+    WHERE 1 = 1${p.sql}
     GROUP BY p.id
     ORDER BY last_commit_at DESC
-  `).all({ since, until }).map((row) => ({
+  `).all({ since, until, ...c.params, ...p.params }).map((row) => ({
     id: row.id,
     name: row.name,
+    category: row.category,
+    tags: JSON.parse(row.tags),
     commitCount: row.commit_count,
     lastCommitAt: row.last_commit_at,
-    lastCommitMessage: row.last_commit_message || null
+    lastCommitMessage: row.last_commit_message || null,
+    additions: row.additions || 0,
+    deletions: row.deletions || 0,
+    pairAuthoredCount: row.pair_authored_count,
+    aiAssistedCount: row.ai_assisted_count
   }));
+
+  if (byRepo) {
+    const repos = getRepoActivityInRange(since, until, filters);
+    for (const project of rows) {
+      project.repos = repos.get(project.id) || [];
+    }
+  }
+  return rows;
 }
 
-function getProjectCommits(projectId, since, limit) {
+// One row per category (null = uncategorized). A commit shared by two projects of a category counts once
+function getCategoryActivityInRange(since, until, filters = {}, { tag = null } = {}) {
+  const c = buildCommitFilters('c', filters);
+  const p = buildProjectFilters('p', { tag });
+
+  return initDb().prepare(`
+    WITH scoped AS (
+      SELECT p.id AS project_id, p.category, c.sha
+      FROM projects p
+      INNER JOIN commit_projects cp ON cp.project_id = p.id
+      INNER JOIN commits c ON c.sha = cp.sha
+      WHERE c.committed_at >= @since AND c.committed_at <= @until${c.sql}${p.sql}
+    )
+    SELECT g.category,
+           COUNT(*) AS commit_count,
+           MAX(c.committed_at) AS last_commit_at,
+           SUM((SELECT SUM(f.additions) FROM commit_files f WHERE f.sha = g.sha)) AS additions,
+           SUM((SELECT SUM(f.deletions) FROM commit_files f WHERE f.sha = g.sha)) AS deletions,
+           (
+             SELECT json_group_array(project_id) FROM (
+               SELECT DISTINCT s.project_id FROM scoped s WHERE s.category IS g.category ORDER BY s.project_id
+             )
+           ) AS projects
+    FROM (SELECT DISTINCT category, sha FROM scoped) g
+    INNER JOIN commits c ON c.sha = g.sha
+    GROUP BY g.category
+    ORDER BY commit_count DESC, g.category
+  `).all({ since, until, ...c.params, ...p.params }).map((row) => {
+    const projects = JSON.parse(row.projects);
+    return {
+      category: row.category,
+      projectCount: projects.length,
+      projects,
+      commitCount: row.commit_count,
+      lastCommitAt: row.last_commit_at,
+      additions: row.additions || 0,
+      deletions: row.deletions || 0
+    };
+  });
+}
+
+// "YYYY-MM-DD" + n days, calendar arithmetic only (no timezone involved)
+function addDays(date, n) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + n)).toISOString().slice(0, 10);
+}
+
+// Per-day, per-project commit counts for every date from..to ("YYYY-MM-DD", inclusive), zero-filled.
+// dayOf maps a UTC timestamp to its local day (timezone + cutoff); the UTC window is padded so
+// commits late on `to` or early on `from` in any timezone are read, then bucketed by dayOf
+function getDailyActivity(from, to, filters = {}, { dayOf, projectIds = null, category = null, tag = null } = {}) {
+  const c = buildCommitFilters('c', filters);
+  const p = buildProjectFilters('p', { category, tag });
+
+  const rows = initDb().prepare(`
+    SELECT p.id AS project_id, p.name, c.sha, c.committed_at
+    FROM projects p
+    INNER JOIN commit_projects cp ON cp.project_id = p.id
+    INNER JOIN commits c ON c.sha = cp.sha
+    WHERE c.committed_at >= @since AND c.committed_at < @until${c.sql}${p.sql}
+      AND (@projectIds IS NULL OR p.id IN (SELECT value FROM json_each(@projectIds)))
+    ORDER BY c.committed_at
+  `).all({
+    since: `${addDays(from, -1)}T00:00:00.000Z`,
+    until: `${addDays(to, 3)}T00:00:00.000Z`,
+    projectIds: projectIds ? JSON.stringify(projectIds) : null,
+    ...c.params,
+    ...p.params
+  });
+
+  const projects = new Map();
+  const byDay = new Map();
+  for (const row of rows) {
+    const date = dayOf(row.committed_at);
+    if (date < from || date > to) continue;
+    const project = projects.get(row.project_id) || { id: row.project_id, name: row.name, commitCount: 0 };
+    project.commitCount++;
+    projects.set(row.project_id, project);
+    const day = byDay.get(date) || { shas: new Set(), projects: {} };
+    day.shas.add(row.sha);
+    day.projects[row.project_id] = (day.projects[row.project_id] || 0) + 1;
+    byDay.set(date, day);
+  }
+
+  // Requested projects are listed even when they have no commits in range
+  for (const id of projectIds || []) {
+    if (!projects.has(id)) {
+      projects.set(id, { id, name: getProjectById(id)?.name || id, commitCount: 0 });
+    }
+  }
+  const projectList = [...projects.values()].sort((a, b) => b.commitCount - a.commitCount || a.id.localeCompare(b.id));
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = byDay.get(date);
+    days.push({
+      date,
+      // A commit shared by two projects counts once in the day total
+      commitCount: day ? day.shas.size : 0,
+      projects: Object.fromEntries(projectList.map(({ id }) => [id, day?.projects[id] || 0]))
+    });
+  }
+
+  return { projects: projectList, days };
+}
+
+function getFileHotspots(projectId, since, limit, filters = {}) {
+  const extra = buildCommitFilters('c', filters);
   let sql = `
-    SELECT sha, message, author, committed_at, url
-    FROM commits
-    WHERE project_id = @projectId
+    SELECT f.path,
+           COUNT(*) AS commit_count,
+           SUM(f.additions) AS additions,
+           SUM(f.deletions) AS deletions,
+           MAX(c.committed_at) AS last_changed_at
+    FROM commit_files f
+    INNER JOIN commits c ON c.sha = f.sha
+    WHERE EXISTS (SELECT 1 FROM commit_projects cp WHERE cp.sha = c.sha AND cp.project_id = @projectId)${extra.sql}
   `;
-  const params = { projectId, limit };
+  const params = { projectId, limit, ...extra.params };
 
   if (since) {
-    sql += ' AND committed_at >= @since';
+    sql += ' AND c.committed_at >= @since';
     params.since = since;
   }
 
-  sql += ' ORDER BY committed_at DESC LIMIT @limit';
+  sql += ' GROUP BY f.path ORDER BY commit_count DESC, last_changed_at DESC LIMIT @limit';
 
   return initDb().prepare(sql).all(params).map((row) => ({
+    path: row.path,
+    commitCount: row.commit_count,
+    additions: row.additions ?? null,
+    deletions: row.deletions ?? null,
+    lastChangedAt: row.last_changed_at
+  }));
+}
+
+function buildSearchFilters(query) {
+  const clauses = [];
+  const params = {};
+
+  if (query.projects.length > 0) {
+    const names = query.projects.map((_, i) => `@project${i}`);
+    clauses.push(`EXISTS (
+      SELECT 1 FROM commit_projects cp INNER JOIN projects sp ON sp.id = cp.project_id
+      WHERE cp.sha = c.sha AND (cp.project_id IN (${names.join(', ')}) OR sp.name COLLATE NOCASE IN (${names.join(', ')}))
+    )`);
+    query.projects.forEach((project, i) => {
+      params[`project${i}`] = project;
+    });
+  }
+  if (query.author) {
+    clauses.push(`(a.name = @author COLLATE NOCASE OR c.author_id IN (
+      SELECT author_id FROM author_aliases WHERE value = @author
+    ))`);
+    params.author = query.author;
+  }
+  if (query.after) {
+    clauses.push('c.committed_at >= @after');
+    params.after = query.after;
+  }
+  if (query.before) {
+    clauses.push('c.committed_at < @before');
+    params.before = query.before;
+  }
+  if (!query.includeRewritten) {
+    clauses.push('c.rewritten_at IS NULL');
+  }
+  if (!query.includeAll) {
+    clauses.push('c.significant = 1');
+  }
+
+  return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params };
+}
+
+// query comes from db/search-query.js; without text terms it is a filtered, newest-first listing
+function searchCommits(query, { limit, offset }) {
+  const database = initDb();
+  const filters = buildSearchFilters(query);
+  const params = { ...filters.params, limit, offset };
+
+  let from = `
+    FROM commits c
+    INNER JOIN projects p ON p.id = c.project_id
+    LEFT JOIN authors a ON a.id = c.author_id
+    WHERE 1 = 1${filters.sql}
+  `;
+  let select = 'NULL AS snippet, NULL AS rank';
+  let order = 'c.committed_at DESC';
+
+  if (query.match) {
+    from = `
+      FROM commits_fts
+      INNER JOIN commits c ON c.rowid = commits_fts.rowid
+      INNER JOIN projects p ON p.id = c.project_id
+      LEFT JOIN authors a ON a.id = c.author_id
+      WHERE commits_fts MATCH @match${filters.sql}
+    `;
+    select = `snippet(commits_fts, 0, '<mark>', '</mark>', '…', 16) AS snippet, bm25(commits_fts) AS rank`;
+    order = 'rank, c.committed_at DESC';
+    params.match = query.match;
+  }
+
+  const total = database.prepare(`SELECT COUNT(*) AS count ${from}`).get(params).count;
+  const results = database.prepare(`
+    SELECT c.sha, c.project_id, p.name AS project_name, c.repo, COALESCE(a.name, c.author) AS author,
+           c.committed_at, c.url, c.message, ${select}
+    ${from}
+    ORDER BY ${order}
+    LIMIT @limit OFFSET @offset
+  `).all(params).map((row) => ({
+    sha: row.sha,
+    projectId: row.project_id,
+    projectName: row.project_name,
+    repo: row.repo,
+    author: row.author,
+    committedAt: row.committed_at,
+    url: row.url,
+    message: row.message,
+    snippet: row.snippet || (row.message || '').split('\n')[0],
+    rank: row.rank
+  }));
+
+  return { total, results };
+}
+
+// True once per-file line counts are known (webhook rows only carry paths)
+function hasCommitFileStats(sha) {
+  const row = initDb().prepare(
+    'SELECT 1 AS found FROM commit_files WHERE sha = ? AND additions IS NOT NULL LIMIT 1'
+  ).get(sha);
+  return Boolean(row);
+}
+
+// Window, author, text and paging clauses shared by the project and cross-project commit listings.
+// until is inclusive; author matches the canonical name, an alias or the raw name; q is a case-insensitive
+// message substring; after ({ committedAt, sha }) continues from a previous page's last row
+function buildCommitListing({ since = null, until = null, author = null, q = null, order = 'desc', after = null } = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (since) {
+    clauses.push('c.committed_at >= @since');
+    params.since = since;
+  }
+  if (until) {
+    clauses.push('c.committed_at <= @until');
+    params.until = until;
+  }
+  if (author) {
+    clauses.push(`(a.name = @author COLLATE NOCASE OR c.author = @author COLLATE NOCASE OR c.author_id IN (
+      SELECT author_id FROM author_aliases WHERE value = @author COLLATE NOCASE
+    ))`);
+    params.author = author;
+  }
+  if (q) {
+    clauses.push('instr(lower(c.message), lower(@q)) > 0');
+    params.q = q;
+  }
+
+  // sha breaks ties between commits with the same timestamp, so a page boundary never skips or repeats one
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  if (after) {
+    const op = order === 'asc' ? '>' : '<';
+    clauses.push(`(c.committed_at ${op} @afterAt OR (c.committed_at = @afterAt AND c.sha ${op} @afterSha))`);
+    params.afterAt = after.committedAt;
+    params.afterSha = after.sha;
+  }
+
+  return {
+    sql: clauses.map((clause) => ` AND ${clause}`).join(''),
+    params,
+    orderBy: `ORDER BY c.committed_at ${direction}, c.sha ${direction}`
+  };
+}
+
+const COMMIT_REF_COLUMNS = `
+  (SELECT json_group_array(r.branch) FROM commit_refs r WHERE r.sha = c.sha) AS branches,
+  (
+    SELECT json_group_array(json_object('key', t.key, 'value', t.value, 'kind', t.kind))
+    FROM commit_trailers t WHERE t.sha = c.sha
+  ) AS trailers
+`;
+
+function mapCommitRow(row) {
+  return {
+    sha: row.sha,
+    repo: row.repo,
+    message: row.message,
+    author: row.author,
+    authorId: row.author_id,
+    committedAt: row.committed_at,
+    url: row.url,
+    branches: JSON.parse(row.branches),
+    trailers: JSON.parse(row.trailers),
+    rewrittenAt: row.rewritten_at,
+    significant: row.significant === 1,
+    significanceReason: row.significance_reason
+  };
+}
+
+// Newest first by default; options are those of buildCommitListing()
+function getProjectCommits(projectId, since, limit, filters = {}, options = {}) {
+  const extra = buildCommitFilters('c', filters);
+  const listing = buildCommitListing({ ...options, since });
+
+  return initDb().prepare(`
+    SELECT c.sha, c.project_id, c.repo, c.message, COALESCE(a.name, c.author) AS author, c.author_id, c.committed_at,
+           c.url, c.rewritten_at, c.significant, c.significance_reason,
+           (
+             SELECT json_group_array(cr.repo) FROM (
+               SELECT repo FROM commit_repos WHERE sha = c.sha AND project_id = @projectId ORDER BY first_seen_at, repo
+             ) cr
+           ) AS repos,
+           ${COMMIT_REF_COLUMNS}
+    FROM commits c
+    LEFT JOIN authors a ON a.id = c.author_id
+    WHERE EXISTS (SELECT 1 FROM commit_projects cp WHERE cp.sha = c.sha AND cp.project_id = @projectId)${extra.sql}${listing.sql}
+    ${listing.orderBy}
+    LIMIT @limit
+  `).all({ projectId, limit, ...extra.params, ...listing.params }).map((row) => {
+    const repos = JSON.parse(row.repos);
+    return {
+      ...mapCommitRow(row),
+      // commits.repo belongs to the primary project — elsewhere (a fork or mirror) use the repo this project saw it in
+      repo: row.project_id === projectId ? row.repo : repos[0] || row.repo,
+      repos
+    };
+  });
+}
+
+// Cross-project timeline: each commit once, with every project it belongs to. projectIds narrows to commits
+// in any of them; other options are those of buildCommitListing()
+function listCommits(limit, filters = {}, { projectIds = null, ...options } = {}) {
+  const extra = buildCommitFilters('c', filters);
+  const listing = buildCommitListing(options);
+
+  return initDb().prepare(`
+    SELECT c.sha, c.project_id, c.repo, c.message, COALESCE(a.name, c.author) AS author, c.author_id, c.committed_at,
+           c.url, c.rewritten_at, c.significant, c.significance_reason,
+           (
+             SELECT json_group_array(cp.project_id) FROM (
+               SELECT project_id FROM commit_projects WHERE sha = c.sha ORDER BY project_id = c.project_id DESC, project_id
+             ) cp
+           ) AS projects,
+           ${COMMIT_REF_COLUMNS}
+    FROM commits c
+    LEFT JOIN authors a ON a.id = c.author_id
+    WHERE (@projectIds IS NULL OR EXISTS (
+      SELECT 1 FROM commit_projects cp
+      WHERE cp.sha = c.sha AND cp.project_id IN (SELECT value FROM json_each(@projectIds))
+    ))${extra.sql}${listing.sql}
+    ${listing.orderBy}
+    LIMIT @limit
+  `).all({
+    limit,
+    projectIds: projectIds ? JSON.stringify(projectIds) : null,
+    ...extra.params,
+    ...listing.params
+  }).map((row) => ({
+    ...mapCommitRow(row),
+    projectId: row.project_id,
+    projects: JSON.parse(row.projects)
+  }));
+}
+
+// Full SHAs starting with prefix (lower-case hex); callers ask for two to tell a unique prefix from an ambiguous one
+function findCommitShas(prefix, limit = 2) {
+  return initDb().prepare(`
+    SELECT sha FROM commits WHERE sha >= @prefix AND sha < @prefix || 'g' ORDER BY sha LIMIT @limit
+  `).all({ prefix, limit }).map((row) => row.sha);
+}
+
+// One commit with everything stored about it: projects (with the repos each saw it in), files and line totals
+function getCommit(sha) {
+  const database = initDb();
+  const row = database.prepare(`
+    SELECT c.sha, c.project_id, c.repo, c.message, COALESCE(a.name, c.author) AS author, c.author_id,
+           c.author_email, c.author_login, c.committed_at, c.ingested_at, c.url,
+           c.rewritten_at, c.rewritten_by, c.significant, c.significance_reason,
+           ${COMMIT_REF_COLUMNS}
+    FROM commits c
+    LEFT JOIN authors a ON a.id = c.author_id
+    WHERE c.sha = ?
+  `).get(sha);
+  if (!row) {
+    return null;
+  }
+
+  const projects = database.prepare(`
+    SELECT p.id, p.name, p.category,
+           (
+             SELECT json_group_array(cr.repo) FROM (
+               SELECT repo FROM commit_repos WHERE sha = cp.sha AND project_id = p.id ORDER BY first_seen_at, repo
+             ) cr
+           ) AS repos
+    FROM commit_projects cp
+    INNER JOIN projects p ON p.id = cp.project_id
+    WHERE cp.sha = ?
+    ORDER BY p.id = ? DESC, p.id
+  `).all(sha, row.project_id).map((project) => ({ ...project, repos: JSON.parse(project.repos) }));
+  const files = database.prepare(`
+    SELECT path, status, additions, deletions FROM commit_files WHERE sha = ? ORDER BY path
+  `).all(sha);
+
+  return {
+    ...mapCommitRow(row),
+    authorEmail: row.author_email,
+    authorLogin: row.author_login,
+    ingestedAt: row.ingested_at,
+    rewrittenBy: row.rewritten_by,
+    project: projects.find((project) => project.id === row.project_id) || null,
+    projects,
+    files,
+    additions: files.reduce((sum, file) => sum + (file.additions || 0), 0),
+    deletions: files.reduce((sum, file) => sum + (file.deletions || 0), 0)
+  };
+}
+
+// Oldest first, with line totals — the input to db/project-summary.js. since is exclusive, until inclusive
+function getProjectCommitsInWindow(projectId, since, until, filters = {}) {
+  const c = buildCommitFilters('c', filters);
+  return initDb().prepare(`
+    SELECT c.sha, c.message, COALESCE(a.name, c.author) AS author, c.author_id, c.committed_at, c.url,
+           (SELECT SUM(f.additions) FROM commit_files f WHERE f.sha = c.sha) AS additions,
+           (SELECT SUM(f.deletions) FROM commit_files f WHERE f.sha = c.sha) AS deletions
+    FROM commits c
+    LEFT JOIN authors a ON a.id = c.author_id
+    WHERE EXISTS (SELECT 1 FROM commit_projects cp WHERE cp.sha = c.sha AND cp.project_id = @projectId)
+      AND c.committed_at > @since AND c.committed_at <= @until${c.sql}
+    ORDER BY c.committed_at, c.sha
+  `).all({ projectId, since, until, ...c.params }).map((row) => ({
     sha: row.sha,
     message: row.message,
     author: row.author,
+    authorId: row.author_id,
     committedAt: row.committed_at,
-    url: row.url
+    url: row.url,
+    additions: row.additions || 0,
+    deletions: row.deletions || 0
   }));
 }
 
-function insertCommit({ sha, projectId, message, author, committedAt, url }) {
+function insertCommitFiles(sha, files) {
+  // Upsert so a later backfill can add line counts to paths first seen via webhook
+  const upsert = initDb().prepare(`
+    INSERT INTO commit_files (sha, path, status, additions, deletions)
+    VALUES (@sha, @path, @status, @additions, @deletions)
+    ON CONFLICT(sha, path) DO UPDATE SET
+      status = excluded.status,
+      additions = COALESCE(excluded.additions, commit_files.additions),
+      deletions = COALESCE(excluded.deletions, commit_files.deletions)
+  `);
+
+  for (const file of files) {
+    upsert.run({
+      sha,
+      path: file.path,
+      status: file.status,
+      additions: file.additions ?? null,
+      deletions: file.deletions ?? null
+    });
+  }
+}
+
+// replace drops the SHA's stored trailers first, so a reprocess reflects the current parser exactly
+function insertCommitTrailers(sha, trailers, { replace = false } = {}) {
+  if (replace) {
+    initDb().prepare('DELETE FROM commit_trailers WHERE sha = ?').run(sha);
+  }
+  const insert = initDb().prepare(`
+    INSERT INTO commit_trailers (sha, position, key, value, kind, name, email)
+    VALUES (@sha, @position, @key, @value, @kind, @name, @email)
+    ON CONFLICT(sha, position) DO NOTHING
+  `);
+  trailers.forEach((trailer, position) => {
+    insert.run({
+      sha,
+      position,
+      key: trailer.key,
+      value: trailer.value,
+      kind: trailer.kind,
+      name: trailer.name ?? null,
+      email: trailer.email ?? null
+    });
+  });
+}
+
+// Additive: a re-ingest with a fuller file list can add projects but never drops one.
+// Returns how many project or repo links were new — a SHA already stored may arrive again from a fork or mirror
+function linkCommitProjects(sha, projectIds, repo = null) {
+  const database = initDb();
+  const linkProject = database.prepare(`
+    INSERT INTO commit_projects (sha, project_id) VALUES (?, ?)
+    ON CONFLICT(sha, project_id) DO NOTHING
+  `);
+  const linkRepo = database.prepare(`
+    INSERT INTO commit_repos (sha, project_id, repo, first_seen_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(sha, project_id, repo) DO NOTHING
+  `);
+  const now = new Date().toISOString();
+
+  let linked = 0;
+  for (const projectId of projectIds) {
+    linked += linkProject.run(sha, projectId).changes;
+    if (repo) {
+      linked += linkRepo.run(sha, projectId, repo, now).changes;
+    }
+  }
+  return linked;
+}
+
+// projectIds (from ingest/path-routing.js) attributes the commit to several projects; the first is the primary.
+// Returns 'inserted', 'linked' (SHA already stored, newly seen in this repo or project) or 'skipped'
+// refresh (a reprocessed delivery): a SHA already stored takes the message, classification and trailers
+// the current commit-parser produced, instead of keeping what its first ingest wrote
+function insertCommit({
+  sha, projectId, projectIds = [projectId], repo = null, message, author, authorEmail = null, authorLogin = null,
+  committedAt, url, significant = true, significanceReason = null, files = [], trailers = []
+}, { refresh = false } = {}) {
   const ingestedAt = new Date().toISOString();
+  const authorId = resolveAuthorId({ name: author, email: authorEmail, login: authorLogin });
   const result = initDb().prepare(`
-    INSERT INTO commits (sha, project_id, message, author, committed_at, url, ingested_at)
-    VALUES (@sha, @projectId, @message, @author, @committedAt, @url, @ingestedAt)
+    INSERT INTO commits (
+      sha, project_id, repo, message, author, author_email, author_login, author_id, committed_at, url, ingested_at,
+      significant, significance_reason
+    )
+    VALUES (
+      @sha, @projectId, @repo, @message, @author, @authorEmail, @authorLogin, @authorId, @committedAt, @url, @ingestedAt,
+      @significant, @significanceReason
+    )
     ON CONFLICT(sha) DO NOTHING
-  `).run({ sha, projectId, message, author, committedAt, url, ingestedAt });
+  `).run({
+    sha,
+    projectId: projectIds[0],
+    repo,
+    message,
+    author,
+    authorEmail,
+    authorLogin,
+    authorId,
+    committedAt,
+    url,
+    ingestedAt,
+    significant: significant ? 1 : 0,
+    significanceReason
+  });
 
-  return result.changes > 0;
+  const refreshing = refresh && result.changes === 0;
+  if (refreshing) {
+    initDb().prepare(`
+      UPDATE commits SET message = @message, significant = @significant, significance_reason = @significanceReason
+      WHERE sha = @sha
+    `).run({ sha, message, significant: significant ? 1 : 0, significanceReason });
+  }
+
+  insertCommitFiles(sha, files);
+  insertCommitTrailers(sha, trailers, { replace: refreshing });
+  const linked = linkCommitProjects(sha, projectIds, repo);
+
+  if (result.changes > 0) return 'inserted';
+  return linked > 0 ? 'linked' : 'skipped';
 }
 
-function insertCommits(commits, projectId) {
-  let inserted = 0;
-  let skipped = 0;
+// Links already-stored commits to a branch; unknown SHAs are ignored
+function recordCommitRefs(shas, branch) {
+  if (!branch) return 0;
+
+  const link = initDb().prepare(`
+    INSERT INTO commit_refs (sha, branch, first_seen_at)
+    SELECT sha, @branch, @now FROM commits WHERE sha = @sha
+    ON CONFLICT(sha, branch) DO NOTHING
+  `);
+  const now = new Date().toISOString();
+
+  let linked = 0;
+  for (const sha of shas) {
+    linked += link.run({ sha, branch, now }).changes;
+  }
+  return linked;
+}
+
+// Tombstone commits a force-push orphaned, unless another branch still holds them.
+// With repo, commits also seen in any other repo are kept — a fork rewriting its history leaves upstream alone
+function markCommitsRewritten(shas, { branch, replacedBy, repo = null }) {
+  const mark = initDb().prepare(`
+    UPDATE commits SET rewritten_at = @now, rewritten_by = @replacedBy
+    WHERE sha = @sha AND rewritten_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM commit_refs r WHERE r.sha = commits.sha AND r.branch != @branch
+      )
+      AND (@repo IS NULL OR NOT EXISTS (
+        SELECT 1 FROM commit_repos cr WHERE cr.sha = commits.sha AND cr.repo != @repo
+      ))
+  `);
+  const now = new Date().toISOString();
+
+  let marked = 0;
+  for (const sha of shas) {
+    marked += mark.run({ sha, branch, replacedBy, repo, now }).changes;
+  }
+  return marked;
+}
+
+// projectId covers commits without routed projectIds (see ingest/path-routing.js)
+// refresh: see insertCommit(). A replay never revives tombstones — a later force-push may have orphaned the commits since
+function insertCommits(commits, projectId, { branch = null, repo = null, refresh = false } = {}) {
+  const counts = { inserted: 0, linked: 0, skipped: 0 };
 
   const insertAll = initDb().transaction((rows) => {
     for (const commit of rows) {
-      if (insertCommit({ ...commit, projectId })) {
-        inserted++;
+      const projectIds = commit.projectIds?.length > 0 ? commit.projectIds : [projectId];
+      counts[insertCommit({ ...commit, projectId, projectIds, repo }, { refresh })]++;
+    }
+    recordCommitRefs(rows.map((commit) => commit.sha), branch);
+    if (refresh) {
+      return;
+    }
+
+    // Pushed again (e.g. a force-push back to the old tip) — no longer orphaned
+    const revive = initDb().prepare(
+      'UPDATE commits SET rewritten_at = NULL, rewritten_by = NULL WHERE sha = ? AND rewritten_at IS NOT NULL'
+    );
+    for (const commit of rows) {
+      revive.run(commit.sha);
+    }
+  });
+
+  insertAll(commits);
+  return counts;
+}
+
+// Re-applies the current commit-parser rules to every stored commit (ingest/reclassify.js)
+function reclassifyCommits(classify, { dryRun = false } = {}) {
+  const database = initDb();
+  const rows = database.prepare('SELECT sha, message, significant, significance_reason FROM commits').all();
+  const update = database.prepare(
+    'UPDATE commits SET significant = @significant, significance_reason = @reason WHERE sha = @sha'
+  );
+
+  const changes = { promoted: 0, demoted: 0, reasonOnly: 0, unchanged: 0 };
+  const applyAll = database.transaction(() => {
+    for (const row of rows) {
+      const { significant, reason } = classify(row.message);
+      const flag = significant ? 1 : 0;
+
+      if (flag === row.significant && reason === row.significance_reason) {
+        changes.unchanged++;
+        continue;
+      }
+      if (flag !== row.significant) {
+        changes[flag ? 'promoted' : 'demoted']++;
       } else {
-        skipped++;
+        changes.reasonOnly++;
+      }
+      if (!dryRun) {
+        update.run({ sha: row.sha, significant: flag, reason });
       }
     }
   });
 
-  insertAll(commits);
-  return { inserted, skipped };
+  applyAll();
+  return { total: rows.length, ...changes };
+}
+
+// Replaces the table with data/ignored-repos.json (or `entries`, already validated).
+// A hand-edited entry naming a repo of a configured project is skipped with a warning, so it cannot drop that project's webhooks
+function seedIgnoredReposFromConfig(entries = loadIgnoredRepos(), projects = loadProjectsConfig()) {
+  const applied = entries.filter((entry) => {
+    const project = projects.find((candidate) => projectRepos(candidate).some(({ repo }) => findIgnoredEntry([entry], repo)));
+    if (project) {
+      console.warn(`⚠️ data/ignored-repos.json: "${entry.name}" is a repo of project "${project.id}" — not ignoring it; remove it from one of the two files`);
+    }
+    return !project;
+  });
+
+  const database = initDb();
+  const insert = database.prepare(`
+    INSERT INTO ignored_repos (name, reason, ignored_at) VALUES (@name, @reason, @ignoredAt)
+  `);
+  database.transaction(() => {
+    database.prepare('DELETE FROM ignored_repos').run();
+    for (const entry of applied) {
+      insert.run(entry);
+    }
+  })();
+  console.log(`🙈 Applied ${applied.length} ignored repos from data/ignored-repos.json`);
+}
+
+function mapIgnoredRow(row) {
+  return { name: row.name, reason: row.reason, ignoredAt: row.ignored_at };
+}
+
+function listIgnoredRepos() {
+  return initDb().prepare('SELECT * FROM ignored_repos ORDER BY name COLLATE NOCASE').all().map(mapIgnoredRow);
+}
+
+// The entry ignoring "owner/name" — listed in full, or by bare name for every owner
+function getIgnoredRepo(fullName) {
+  const row = initDb().prepare(`
+    SELECT * FROM ignored_repos WHERE name = @fullName OR name = @bare
+    ORDER BY length(name) DESC LIMIT 1
+  `).get({ fullName, bare: fullName.split('/').pop() });
+  return row ? mapIgnoredRow(row) : null;
+}
+
+function mapDeliveryRow(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    repo: row.repo,
+    status: row.status,
+    error: row.error,
+    attempts: row.attempts,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at
+  };
+}
+
+// Journals a verified delivery; a redelivery of a known id keeps the original row
+function recordWebhookDelivery({ id, event, repo, body }) {
+  const result = initDb().prepare(`
+    INSERT INTO webhook_deliveries (id, event, repo, payload, status, received_at)
+    VALUES (@id, @event, @repo, @payload, 'received', @receivedAt)
+    ON CONFLICT(id) DO NOTHING
+  `).run({
+    id,
+    event,
+    repo: repo || null,
+    payload: zlib.gzipSync(body),
+    receivedAt: new Date().toISOString()
+  });
+  return result.changes > 0;
+}
+
+function getWebhookDelivery(id) {
+  const row = initDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  return row ? mapDeliveryRow(row) : null;
+}
+
+function loadWebhookDeliveryPayload(id) {
+  const row = initDb().prepare('SELECT payload FROM webhook_deliveries WHERE id = ?').get(id);
+  return row ? JSON.parse(zlib.gunzipSync(row.payload).toString('utf8')) : null;
+}
+
+function listWebhookDeliveries({ status = null, limit = 50 } = {}) {
+  const rows = initDb().prepare(`
+    SELECT id, event, repo, status, error, attempts, received_at, processed_at
+    FROM webhook_deliveries
+    WHERE (@status IS NULL OR status = @status)
+    ORDER BY received_at DESC, id DESC
+    LIMIT @limit
+  `).all({ status, limit });
+  return rows.map(mapDeliveryRow);
+}
+
+// Oldest first, so a bulk reprocess replays pushes in the order GitHub sent them
+function listWebhookDeliveryIds({ status = null } = {}) {
+  return initDb().prepare(`
+    SELECT id FROM webhook_deliveries
+    WHERE (@status IS NULL OR status = @status)
+    ORDER BY received_at ASC, id ASC
+  `).all({ status }).map((row) => row.id);
+}
+
+function startWebhookDelivery(id) {
+  initDb().prepare(`
+    UPDATE webhook_deliveries SET status = 'processing', error = NULL, attempts = attempts + 1 WHERE id = ?
+  `).run(id);
+}
+
+function finishWebhookDelivery(id, { status, error = null }) {
+  initDb().prepare(`
+    UPDATE webhook_deliveries SET status = @status, error = @error, processed_at = @now WHERE id = @id
+  `).run({ id, status, error, now: new Date().toISOString() });
+}
+
+// One row per held delivery; a replay of an already held delivery keeps the original row
+function holdPendingPush({ deliveryId, repo, githubRepoId = null, branch = null, commitCount }) {
+  initDb().prepare(`
+    INSERT INTO pending_pushes (delivery_id, repo, github_repo_id, branch, commit_count, received_at)
+    SELECT @deliveryId, @repo, @githubRepoId, @branch, @commitCount, received_at
+    FROM webhook_deliveries WHERE id = @deliveryId
+    ON CONFLICT(delivery_id) DO NOTHING
+  `).run({ deliveryId, repo, githubRepoId, branch, commitCount });
+}
+
+// Held pushes grouped by repo, most recently seen first
+function listPendingRepos() {
+  return initDb().prepare(`
+    SELECT repo, MAX(github_repo_id) AS github_repo_id, COUNT(*) AS push_count, SUM(commit_count) AS commit_count,
+      json_group_array(DISTINCT branch) FILTER (WHERE branch IS NOT NULL) AS branches,
+      MIN(received_at) AS first_seen_at, MAX(received_at) AS last_seen_at
+    FROM pending_pushes
+    GROUP BY repo COLLATE NOCASE
+    ORDER BY last_seen_at DESC
+  `).all().map((row) => ({
+    repo: row.repo,
+    githubRepoId: row.github_repo_id,
+    pushCount: row.push_count,
+    commitCount: row.commit_count,
+    branches: JSON.parse(row.branches),
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at
+  }));
+}
+
+// Oldest first, so approving replays pushes in the order GitHub sent them
+function listPendingPushIds(repo) {
+  return initDb().prepare(`
+    SELECT delivery_id FROM pending_pushes WHERE repo = ? ORDER BY received_at ASC, delivery_id ASC
+  `).all(repo).map((row) => row.delivery_id);
+}
+
+// Stops holding pushes for repo (approved or discarded); the deliveries stay in the journal
+function releasePendingPushes(repo, deliveryIds = null) {
+  const database = initDb();
+  if (!deliveryIds) {
+    return database.prepare('DELETE FROM pending_pushes WHERE repo = ?').run(repo).changes;
+  }
+  const remove = database.prepare('DELETE FROM pending_pushes WHERE repo = ? AND delivery_id = ?');
+  return database.transaction(() => deliveryIds.reduce((n, id) => n + remove.run(repo, id).changes, 0))();
+}
+
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    deliveryId: row.delivery_id,
+    queue: row.queue,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: row.run_after,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// One open job per delivery — a redelivery while the first is still queued adds nothing
+function enqueueIngestJob({ deliveryId, queue, maxAttempts }) {
+  const database = initDb();
+  const open = database.prepare(
+    "SELECT * FROM ingest_jobs WHERE delivery_id = ? AND status IN ('queued', 'running')"
+  ).get(deliveryId);
+  if (open) {
+    return mapJobRow(open);
+  }
+
+  const now = new Date().toISOString();
+  const result = database.prepare(`
+    INSERT INTO ingest_jobs (delivery_id, queue, status, max_attempts, run_after, created_at, updated_at)
+    VALUES (@deliveryId, @queue, 'queued', @maxAttempts, @now, @now, @now)
+  `).run({ deliveryId, queue, maxAttempts, now });
+  return getIngestJob(result.lastInsertRowid);
+}
+
+function getIngestJob(id) {
+  const row = initDb().prepare('SELECT * FROM ingest_jobs WHERE id = ?').get(id);
+  return row ? mapJobRow(row) : null;
+}
+
+function listIngestJobs({ status = null, limit = 50 } = {}) {
+  const database = initDb();
+  const jobs = database.prepare(`
+    SELECT * FROM ingest_jobs
+    WHERE (@status IS NULL OR status = @status)
+    ORDER BY id DESC
+    LIMIT @limit
+  `).all({ status, limit }).map(mapJobRow);
+
+  const counts = { queued: 0, running: 0, done: 0, dead: 0 };
+  for (const row of database.prepare('SELECT status, COUNT(*) AS n FROM ingest_jobs GROUP BY status').all()) {
+    counts[row.status] = row.n;
+  }
+  return { jobs, counts };
+}
+
+// Queues with a job due now and nothing already running
+function listReadyIngestQueues(now = new Date().toISOString()) {
+  return initDb().prepare(`
+    SELECT DISTINCT queue FROM ingest_jobs j
+    WHERE status = 'queued' AND run_after <= @now
+      AND NOT EXISTS (SELECT 1 FROM ingest_jobs r WHERE r.queue = j.queue AND r.status = 'running')
+  `).all({ now }).map((row) => row.queue);
+}
+
+function claimIngestJob(queue, now = new Date().toISOString()) {
+  const database = initDb();
+  const claim = database.transaction(() => {
+    const row = database.prepare(`
+      SELECT * FROM ingest_jobs
+      WHERE queue = @queue AND status = 'queued' AND run_after <= @now
+      ORDER BY run_after ASC, id ASC
+      LIMIT 1
+    `).get({ queue, now });
+    if (!row) return null;
+
+    database.prepare(`
+      UPDATE ingest_jobs SET status = 'running', attempts = attempts + 1, updated_at = @now WHERE id = @id
+    `).run({ id: row.id, now });
+    return getIngestJob(row.id);
+  });
+  return claim();
+}
+
+function completeIngestJob(id) {
+  const now = new Date().toISOString();
+  initDb().prepare(`
+    UPDATE ingest_jobs SET status = 'done', last_error = NULL, updated_at = @now, finished_at = @now WHERE id = @id
+  `).run({ id, now });
+}
+
+// Back to the queue at runAfter, or dead-lettered when runAfter is null
+function failIngestJob(id, { error, runAfter = null }) {
+  const now = new Date().toISOString();
+  initDb().prepare(`
+    UPDATE ingest_jobs
+    SET status = @status, last_error = @error, run_after = COALESCE(@runAfter, run_after),
+        updated_at = @now, finished_at = @finishedAt
+    WHERE id = @id
+  `).run({
+    id,
+    error,
+    runAfter,
+    now,
+    status: runAfter ? 'queued' : 'dead',
+    finishedAt: runAfter ? null : now
+  });
+}
+
+// Manual retry of a dead-lettered job with a fresh attempt budget
+function requeueIngestJob(id) {
+  const now = new Date().toISOString();
+  const result = initDb().prepare(`
+    UPDATE ingest_jobs
+    SET status = 'queued', attempts = 0, run_after = @now, updated_at = @now, finished_at = NULL
+    WHERE id = @id AND status = 'dead'
+  `).run({ id, now });
+  return result.changes > 0;
+}
+
+// Jobs left running by a crash or a drain timeout go back to the queue on startup
+function recoverIngestJobs() {
+  const now = new Date().toISOString();
+  return initDb().prepare(`
+    UPDATE ingest_jobs SET status = 'queued', run_after = @now, updated_at = @now WHERE status = 'running'
+  `).run({ now }).changes;
 }
 
 function closeDb() {
@@ -206,15 +1602,64 @@ function closeDb() {
 module.exports = {
   initDb,
   seedProjectsFromConfig,
+  seedAuthorsFromConfig,
+  resolveAuthorId,
+  mergeAuthors,
+  removeAuthorAliases,
+  listAuthors,
+  getAuthorById,
   getProjectByRepo,
   getProjectById,
+  getProjectByGithubRepoId,
+  getProjectRepos,
+  getRepoRoutes,
+  resolveProjectByRepository,
+  updateProjectRepository,
+  setProjectRepoArchived,
   getMostRecentCommitAt,
   countCommitsInRange,
+  countProjectCommits,
+  moveProjectCommits,
   listProjectsWithLastCommit,
   getActivityInRange,
+  getCategoryActivityInRange,
+  getDailyActivity,
   getProjectCommits,
+  getProjectCommitsInWindow,
+  listCommits,
+  findCommitShas,
+  getCommit,
+  getFileHotspots,
+  searchCommits,
+  hasCommitFileStats,
   insertCommit,
   insertCommits,
+  recordCommitRefs,
+  markCommitsRewritten,
+  reclassifyCommits,
+  recordWebhookDelivery,
+  getWebhookDelivery,
+  loadWebhookDeliveryPayload,
+  listWebhookDeliveries,
+  listWebhookDeliveryIds,
+  startWebhookDelivery,
+  finishWebhookDelivery,
+  seedIgnoredReposFromConfig,
+  listIgnoredRepos,
+  getIgnoredRepo,
+  holdPendingPush,
+  listPendingRepos,
+  listPendingPushIds,
+  releasePendingPushes,
+  enqueueIngestJob,
+  getIngestJob,
+  listIngestJobs,
+  listReadyIngestQueues,
+  claimIngestJob,
+  completeIngestJob,
+  failIngestJob,
+  requeueIngestJob,
+  recoverIngestJobs,
   closeDb,
   getDataDir,
   getDbPath,
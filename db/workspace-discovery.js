@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Match local clones under DEVRA_PROJECTS_ROOT to config/projects.json by their git remotes and suggest workspacePath fixes
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProjectsConfig, writeProjectsConfig, projectRepos } = require('./projects-config');
+const { loadIgnoredRepos, findIgnoredEntry } = require('./ignored-repos');
+
+function defaultProjectsRoot() {
+  return process.env.DEVRA_PROJECTS_ROOT || path.join(os.homedir(), 'Documents/Projects/Dev');
+}
+
+// [remote "origin"] sections of a .git/config → [{ name, url }]
+function parseGitRemotes(text) {
+  const remotes = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const section = line.match(/^\s*\[\s*remote\s+"([^"]+)"\s*\]/);
+    if (section) {
+      current = { name: section[1], url: null };
+      remotes.push(current);
+    } else if (/^\s*\[/.test(line)) {
+      current = null;
+    } else if (current && !current.url) {
+      const url = line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+      if (url) current.url = url[1];
+    }
+  }
+  return remotes.filter((remote) => remote.url);
+}
+
+// "owner/name" for a GitHub remote (https, ssh or scp-style), null for anything else
+function repoFromRemoteUrl(url) {
+  const match = url.match(/github\.com[:/]+([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/i);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+// .git is a directory, or a file pointing at one (worktrees, submodules)
+function readGitConfig(folderPath) {
+  const dotGit = path.join(folderPath, '.git');
+  if (!fs.existsSync(dotGit)) return null;
+
+  let gitDir = dotGit;
+  if (fs.statSync(dotGit).isFile()) {
+    const pointer = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+    if (!pointer) return null;
+    gitDir = path.resolve(folderPath, pointer[1].trim());
+    const commonDir = path.join(gitDir, 'commondir');
+    if (fs.existsSync(commonDir)) {
+      gitDir = path.resolve(gitDir, fs.readFileSync(commonDir, 'utf8').trim());
+    }
+  }
+
+  const configPath = path.join(gitDir, 'config');
+  return fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+}
+
+// GitHub repos a clone's remotes point at; git is false when the folder is not a repository
+function readRemoteRepos(folderPath) {
+  const gitConfig = readGitConfig(folderPath);
+  const repos = gitConfig
+    ? [...new Set(parseGitRemotes(gitConfig).map((remote) => repoFromRemoteUrl(remote.url)).filter(Boolean))]
+    : [];
+  return { git: Boolean(gitConfig), repos };
+}
+
+// Every top-level folder with the GitHub repos its remotes point at
+function scanWorkspaces(root) {
+  if (!fs.existsSync(root)) {
+    throw new Error(`Projects root ${root} does not exist (set DEVRA_PROJECTS_ROOT)`);
+  }
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory() && !dirent.name.startsWith('.'))
+    .map((dirent) => ({ folder: dirent.name, ...readRemoteRepos(path.join(root, dirent.name)) }))
+    .sort((a, b) => a.folder.localeCompare(b.folder));
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Report only — applyDiscoverySuggestions() writes the config.
+// An existing workspacePath that names a real folder is never overridden; ignored repos are never suggested
+function discoverWorkspaces({ root = defaultProjectsRoot(), config = loadProjectsConfig(), ignored = loadIgnoredRepos() } = {}) {
+  const folders = scanWorkspaces(root);
+  const folderNames = new Set(folders.map((f) => f.folder));
+  const usedIds = new Set(config.map((entry) => entry.id));
+
+  const matched = [];
+  const unmatchedFolders = [];
+  const ignoredFolders = [];
+  const suggestions = [];
+
+  for (const { folder, git, repos: remoteRepos } of folders) {
+    const repos = remoteRepos.filter((repo) => !findIgnoredEntry(ignored, repo));
+    // Local-only projects have no remote to match, only their folder
+    const projects = config.filter((entry) =>
+      entry.workspacePath === folder
+      || projectRepos(entry).some((link) => repos.some((repo) => repo.toLowerCase() === link.repo.toLowerCase()))
+    );
+    if (projects.length === 0) {
+      if (remoteRepos.length > 0 && repos.length === 0) {
+        ignoredFolders.push({ folder, repos: remoteRepos });
+      } else {
+        unmatchedFolders.push({ folder, git, repos });
+      }
+      continue;
+    }
+    for (const entry of projects) {
+      matched.push({ folder, projectId: entry.id, workspacePath: entry.workspacePath || null });
+    }
+  }
+
+  const missingWorkspaces = config
+    .filter((entry) => !entry.workspacePath || !folderNames.has(entry.workspacePath))
+    .map((entry) => ({ projectId: entry.id, workspacePath: entry.workspacePath || null }));
+
+  for (const { projectId, workspacePath } of missingWorkspaces) {
+    const candidate = matched.find((match) => match.projectId === projectId);
+    if (candidate) {
+      const entry = config.find((e) => e.id === projectId);
+      suggestions.push({
+        action: 'update',
+        projectId,
+        previous: workspacePath,
+        entry: { ...entry, workspacePath: candidate.folder }
+      });
+    }
+  }
+
+  for (const { folder, repos } of unmatchedFolders) {
+    if (repos.length === 0) continue;
+    let id = slugify(folder) || 'project';
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${slugify(folder)}-${n}`;
+    }
+    usedIds.add(id);
+    suggestions.push({
+      action: 'add',
+      projectId: id,
+      previous: null,
+      entry: { id, name: folder, repo: repos[0], workspacePath: folder }
+    });
+  }
+
+  return {
+    root,
+    matched,
+    unmatchedFolders,
+    ignoredFolders,
+    missingWorkspaces,
+    suggestions: suggestions.map((suggestion) => ({ id: suggestionId(suggestion), ...suggestion }))
+  };
+}
+
+// Same id on every scan while the suggested change is the same, so an apply can name the ones that were reviewed
+function suggestionId({ action, projectId, entry }) {
+  return crypto.createHash('sha1').update(JSON.stringify([action, projectId, entry])).digest('hex').slice(0, 12);
+}
+
+// Writes every suggestion to config/projects.json in one validated, atomic write
+function applyDiscoverySuggestions(suggestions, { configPath } = {}) {
+  const config = loadProjectsConfig(configPath);
+  for (const { action, entry } of suggestions) {
+    if (action === 'update') {
+      const index = config.findIndex((existing) => existing.id === entry.id);
+      if (index === -1) {
+        throw new Error(`Project "${entry.id}" is no longer in config/projects.json`);
+      }
+      config[index] = { ...config[index], workspacePath: entry.workspacePath };
+    } else {
+      config.push(entry);
+    }
+  }
+  return writeProjectsConfig(config, configPath);
+}
+
+function parseArgs(argv) {
+  const args = { root: null, yes: false, json: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--yes' || arg === '-y') {
+      args.yes = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--root' || arg === '-r') {
+      args.root = argv[++i];
+    }
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+GitHub Activity Logger — discover workspacePath mappings
+
+Usage: node db/workspace-discovery.js [options]
+
+Options:
+  -r, --root <dir>   Folder to scan (default DEVRA_PROJECTS_ROOT or ~/Documents/Projects/Dev)
+  -y, --yes          Apply the suggested config entries without asking
+      --json         Print the report as JSON and change nothing
+  -h, --help         Show this help
+
+Each folder's .git/config remotes are matched to the repos in config/projects.json.
+Repos in data/ignored-repos.json are never suggested.
+
+Examples:
+  npm run discover
+  npm run discover -- --root ~/code --yes
+`);
+}
+
+function printReport(report) {
+  console.log(`\n📂 ${report.root}`);
+  for (const { folder, projectId } of report.matched) {
+    console.log(`  ✅ ${folder} → ${projectId}`);
+  }
+  for (const { folder, git, repos } of report.unmatchedFolders) {
+    console.log(`  ❔ ${folder}: ${git ? (repos.length ? `no project for ${repos.join(', ')}` : 'no GitHub remote') : 'not a git repo'}`);
+  }
+  for (const { folder, repos } of report.ignoredFolders) {
+    console.log(`  🙈 ${folder}: ${repos.join(', ')} ignored`);
+  }
+  for (const { projectId, workspacePath } of report.missingWorkspaces) {
+    console.log(`  ⚠️ ${projectId}: ${workspacePath ? `workspacePath "${workspacePath}" not found` : 'no workspacePath'}`);
+  }
+
+  if (report.suggestions.length === 0) {
+    console.log('\nNo suggested changes');
+    return;
+  }
+  console.log('\nSuggested config changes:');
+  for (const { action, projectId, previous, entry } of report.suggestions) {
+    console.log(action === 'add'
+      ? `  + ${JSON.stringify(entry)}`
+      : `  ~ ${projectId}: workspacePath ${previous ? `"${previous}"` : '(none)'} → "${entry.workspacePath}"`);
+  }
+}
+
+async function run(options) {
+  const report = discoverWorkspaces({ root: options.root || defaultProjectsRoot() });
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  printReport(report);
+  if (report.suggestions.length === 0) return;
+
+  let apply = options.yes;
+  if (!apply) {
+    const inquirer = require('inquirer');
+    ({ apply } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'apply',
+      message: `Apply ${report.suggestions.length} change(s) to config/projects.json?`,
+      default: false
+    }]));
+  }
+  if (apply) {
+    applyDiscoverySuggestions(report.suggestions);
+    console.log('✅ config/projects.json updated — a running server picks it up automatically');
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
+  run(options).catch((err) => {
+    console.error('Discovery failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  defaultProjectsRoot,
+  parseGitRemotes,
+  repoFromRemoteUrl,
+  readRemoteRepos,
+  scanWorkspaces,
+  slugify,
+  discoverWorkspaces,
+  applyDiscoverySuggestions
+};
@@ -9,18 +9,28 @@ const { Octokit } = require('@octokit/rest');
 const {
   initDb,
   seedProjectsFromConfig,
+  seedAuthorsFromConfig,
+  seedIgnoredReposFromConfig,
+  getIgnoredRepo,
   insertCommits,
   closeDb,
   loadProjectsConfig,
   getProjectById,
+  getProjectByRepo,
+  getProjectRepos,
+  getRepoRoutes,
+  updateProjectRepository,
   getMostRecentCommitAt,
   countCommitsInRange,
+  hasCommitFileStats,
   getDataDir
 } = require('../db/store');
-const { parseWebhookCommits } = require('./commit-parser');
+const { parseWebhookCommits, normalizeCommitFiles } = require('./commit-parser');
+const { assignProjects } = require('./path-routing');
 
 const DELAY_MS = {
   page: 200,
+  detail: 100,
   repo: 1000
 };
 
@@ -30,6 +40,7 @@ function parseArgs(argv) {
     sinceLast: false,
     projectId: null,
     validate: false,
+    stats: true,
     help: false
   };
 
@@ -41,6 +52,8 @@ function parseArgs(argv) {
       args.sinceLast = true;
     } else if (arg === '--validate' || arg === '-v') {
       args.validate = true;
+    } else if (arg === '--no-stats') {
+      args.stats = false;
     } else if (arg === '--project' || arg === '-p') {
       args.projectId = argv[++i];
     } else if (arg === '--months' || arg === '-m') {
@@ -66,6 +79,7 @@ Options:
   -l, --since-last     Incremental: since newest commit already in SQLite
   -p, --project <id>   Single project id from config/projects.json
   -v, --validate       Spot-check totals vs commit-log.json (UTC; may differ from heatmap TZ)
+      --no-stats       Skip per-commit file/line stats (one extra API call per commit)
   -h, --help           Show this help
 
 Requires GITHUB_TOKEN in .env. Repos come from config/projects.json only.
@@ -111,7 +125,11 @@ async function fetchCommitsSince(octokit, owner, name, sinceDate) {
         id: commit.sha,
         message: commit.commit.message,
         url: commit.html_url,
-        author: { name: commit.commit.author.name },
+        author: {
+          name: commit.commit.author.name,
+          email: commit.commit.author.email,
+          username: commit.author?.login
+        },
         timestamp: commit.commit.author.date
       });
     }
@@ -127,9 +145,27 @@ async function fetchCommitsSince(octokit, owner, name, sinceDate) {
   return commits;
 }
 
-function resolveSinceDate(projectId, sinceLast, months) {
+// Per-commit detail (files + line counts) — skipped for commits that already have stats
+async function attachFileStats(octokit, owner, name, commits) {
+  let fetched = 0;
+
+  for (const commit of commits) {
+    if (hasCommitFileStats(commit.sha)) {
+      continue;
+    }
+
+    const response = await octokit.repos.getCommit({ owner, repo: name, ref: commit.sha });
+    commit.files = normalizeCommitFiles(response.data);
+    fetched++;
+    await sleep(DELAY_MS.detail);
+  }
+
+  return fetched;
+}
+
+function resolveSinceDate(projectId, repo, sinceLast, months) {
   if (sinceLast) {
-    const latest = getMostRecentCommitAt(projectId);
+    const latest = getMostRecentCommitAt(projectId, repo);
     if (latest) {
       // GitHub `since` is inclusive — skip the row we already have
       return new Date(latest.getTime() + 1000);
@@ -144,27 +180,44 @@ function resolveSinceDate(projectId, sinceLast, months) {
   return since;
 }
 
-async function backfillProject(octokit, project, options) {
-  const { owner, name } = splitRepo(project.repo);
-  const sinceDate = resolveSinceDate(project.id, options.sinceLast, options.months);
+async function backfillRepo(octokit, project, repo, options) {
+  const { owner, name } = splitRepo(repo);
+  const sinceDate = resolveSinceDate(project.id, repo, options.sinceLast, options.months);
+
+  console.log(`\n=== ${repo} → ${project.id} (since ${sinceDate.toISOString()}) ===`);
 
-  console.log(`\n=== ${project.repo} (since ${sinceDate.toISOString()}) ===`);
+  // listCommits walks the default branch, so that is the only ref backfill can vouch for
+  const { data: repoInfo } = await octokit.repos.get({ owner, repo: name });
+  const branch = repoInfo.default_branch || null;
+
+  // GitHub redirects renamed repos — link the numeric id and adopt the current name
+  const currentRepo = repoInfo.full_name || repo;
+  updateProjectRepository(repo, { githubRepoId: repoInfo.id, fullName: currentRepo });
 
   const rawCommits = await fetchCommitsSince(octokit, owner, name, sinceDate);
   const { commits, filtered, total } = parseWebhookCommits(rawCommits);
 
   if (filtered > 0) {
-    console.log(`🔍 Filtered ${filtered} insignificant of ${total} fetched`);
+    console.log(`🔍 Flagged ${filtered} insignificant of ${total} fetched`);
   }
 
   if (commits.length === 0) {
-    console.log('No significant commits to insert');
-    return { fetched: rawCommits.length, inserted: 0, skipped: 0, failed: false };
+    console.log('No commits to insert');
+    return { fetched: rawCommits.length, inserted: 0, linked: 0, skipped: 0, failed: false };
+  }
+
+  if (options.stats) {
+    const detailed = await attachFileStats(octokit, owner, name, commits);
+    if (detailed > 0) {
+      console.log(`📄 Fetched file stats for ${detailed} commit(s)`);
+    }
   }
 
-  const { inserted, skipped } = insertCommits(commits, project.id);
-  console.log(`💾 ${inserted} inserted, ${skipped} duplicate(s) skipped`);
-  return { fetched: rawCommits.length, inserted, skipped, failed: false };
+  // Path rules need file lists — with --no-stats every commit goes to the repo's fallback project
+  assignProjects(commits, getRepoRoutes(currentRepo));
+  const { inserted, linked, skipped } = insertCommits(commits, project.id, { branch, repo: currentRepo });
+  console.log(`💾 ${inserted} inserted, ${linked} linked (already stored), ${skipped} duplicate(s) skipped`);
+  return { fetched: rawCommits.length, inserted, linked, skipped, failed: false };
 }
 
 function loadCommitLog() {
@@ -175,7 +228,7 @@ function loadCommitLog() {
   return JSON.parse(fs.readFileSync(logPath, 'utf8'));
 }
 
-// Rough sanity check only — SQLite is filtered; commit-log.json is unfiltered + timezone-bucketed
+// Rough sanity check only — both sides count every commit, but commit-log.json is timezone-bucketed
 function validateAgainstCommitLog(projects, months) {
   const commitLog = loadCommitLog();
   if (commitLog.length === 0) {
@@ -189,7 +242,7 @@ function validateAgainstCommitLog(projects, months) {
   const since = sinceDate.toISOString();
 
   console.log(`\n=== Spot-check (${since.slice(0, 10)} → ${until.slice(0, 10)}, UTC) ===`);
-  console.log('Note: SQLite = significant commits only; commit-log.json = all commits + heatmap TZ. Deltas are expected.');
+  console.log('Note: SQLite = all stored commits (UTC); commit-log.json = heatmap TZ buckets. Small deltas at the window edges are expected.');
 
   for (const project of projects) {
     const sqliteCount = countCommitsInRange(project.id, since, until);
@@ -215,8 +268,10 @@ async function runBackfill(options) {
 
   initDb();
   seedProjectsFromConfig();
+  seedAuthorsFromConfig();
+  seedIgnoredReposFromConfig();
 
-  let projects = loadProjectsConfig();
+  let projects = loadProjectsConfig().map((entry) => getProjectById(entry.id));
   if (options.projectId) {
     const one = getProjectById(options.projectId);
     if (!one) {
@@ -227,31 +282,47 @@ async function runBackfill(options) {
 
   if (projects.length === 0) {
     console.log('No projects in config/projects.json');
-    return { totals: { fetched: 0, inserted: 0, skipped: 0 }, failures: 0, projectCount: 0 };
+    return { totals: { fetched: 0, inserted: 0, linked: 0, skipped: 0 }, failures: 0, projectCount: 0 };
+  }
+
+  // Stored repo links, not raw config entries: their names follow GitHub renames.
+  // A repo split by paths is fetched once, under its fallback project, and routed per commit
+  const targets = [];
+  for (const project of projects) {
+    for (const { repo } of getProjectRepos(project.id)) {
+      if (getIgnoredRepo(repo)) {
+        console.log(`🙈 ${repo} is in data/ignored-repos.json — not fetching`);
+        continue;
+      }
+      if (!targets.some((target) => target.repo.toLowerCase() === repo.toLowerCase())) {
+        targets.push({ project: getProjectByRepo(repo) || project, repo });
+      }
+    }
   }
 
   const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  const totals = { fetched: 0, inserted: 0, skipped: 0 };
+  const totals = { fetched: 0, inserted: 0, linked: 0, skipped: 0 };
   let failures = 0;
 
-  for (const project of projects) {
+  for (const { project, repo } of targets) {
     try {
-      const result = await backfillProject(octokit, project, options);
+      const result = await backfillRepo(octokit, project, repo, options);
       totals.fetched += result.fetched;
       totals.inserted += result.inserted;
+      totals.linked += result.linked;
       totals.skipped += result.skipped;
     } catch (error) {
       failures++;
-      console.error(`❌ ${project.repo}: ${error.message}`);
+      console.error(`❌ ${repo}: ${error.message}`);
     }
 
-    if (projects.length > 1) {
+    if (targets.length > 1) {
       await sleep(DELAY_MS.repo);
     }
   }
 
   console.log(`\n=== Backfill done ===`);
-  console.log(`Fetched: ${totals.fetched}, inserted: ${totals.inserted}, duplicates skipped: ${totals.skipped}`);
+  console.log(`Fetched: ${totals.fetched}, inserted: ${totals.inserted}, linked: ${totals.linked}, duplicates skipped: ${totals.skipped}`);
   if (failures > 0) {
     console.error(`❌ ${failures} repo(s) failed`);
   }
@@ -288,4 +359,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { runBackfill, fetchCommitsSince };
+module.exports = { runBackfill, fetchCommitsSince, splitRepo };
@@ -32,9 +32,10 @@ const INSIGNIFICANT_PATTERNS = [
 
 const CONVENTIONAL_PREFIX = /^(feat|fix|docs|chore|refactor|test|style|perf|build|ci)(\([^)]+\))?: .+/i;
 
-function isSignificantCommit(message) {
+// reason is stored as commits.significance_reason so reclassification can be audited
+function classifyCommit(message) {
   if (!message || typeof message !== 'string') {
-    return false;
+    return { significant: false, reason: 'empty-message' };
   }
 
   const firstLine = message.trim().split('\n')[0].trim();
@@ -42,19 +43,142 @@ function isSignificantCommit(message) {
 
   for (const pattern of INSIGNIFICANT_PATTERNS) {
     if (pattern.test(lower)) {
-      return false;
+      return { significant: false, reason: `pattern:${pattern.source}` };
     }
   }
 
   if (CONVENTIONAL_PREFIX.test(firstLine) && firstLine.length >= 8) {
-    return true;
+    return { significant: true, reason: 'conventional' };
   }
 
   if (firstLine.length < 10) {
-    return false;
+    return { significant: false, reason: 'too-short' };
   }
 
-  return true;
+  return { significant: true, reason: 'default' };
+}
+
+// "feat(api): …" → "feat"; a subject without a conventional prefix is "other"
+function workTypeOf(message) {
+  const firstLine = (message || '').trim().split('\n')[0].trim();
+  const match = firstLine.match(CONVENTIONAL_PREFIX);
+  return match ? match[1].toLowerCase() : 'other';
+}
+
+function isSignificantCommit(message) {
+  return classifyCommit(message).significant;
+}
+
+const TRAILER_LINE = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.+)$/;
+const IDENTITY = /^(.*?)\s*<([^>]+)>\s*$/;
+
+const TRAILER_KINDS = {
+  'co-authored-by': 'co_author',
+  'signed-off-by': 'signoff',
+  'reviewed-by': 'reviewer',
+  'assisted-by': 'ai_assist',
+  'generated-by': 'ai_assist'
+};
+
+// Coding assistants that sign commits as co-authors, matched on identity rather than display name
+// so people who share a name with one ("Claude Monet", "Devin Park") stay co-authors
+const AI_ASSISTANT_EMAIL_DOMAINS = ['anthropic.com', 'openai.com', 'cursor.com', 'cursor.sh', 'aider.chat'];
+
+// GitHub noreply logins ("175728472+Copilot@users.noreply.github.com")
+const AI_ASSISTANT_LOGINS = [
+  'copilot',
+  'copilot-swe-agent[bot]',
+  'claude[bot]',
+  'cursor[bot]',
+  'chatgpt-codex-connector[bot]',
+  'devin-ai-integration[bot]',
+  'gemini-code-assist[bot]'
+];
+
+// Whole display names, for assistants that sign with an address outside the lists above
+const AI_ASSISTANT_NAMES = ['claude code', 'github copilot', 'cursor agent', 'chatgpt', 'openai codex', 'gemini code assist'];
+
+const NOREPLY_LOGIN = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+function isAiAssistant(name, email) {
+  const address = (email || '').toLowerCase();
+  const domain = address.split('@')[1];
+  if (domain && AI_ASSISTANT_EMAIL_DOMAINS.includes(domain)) {
+    return true;
+  }
+  const noreply = NOREPLY_LOGIN.exec(address);
+  if (noreply && AI_ASSISTANT_LOGINS.includes(noreply[1])) {
+    return true;
+  }
+  return AI_ASSISTANT_NAMES.includes((name || '').trim().toLowerCase());
+}
+
+function classifyTrailer(key, name, email) {
+  const kind = TRAILER_KINDS[key.toLowerCase()] || 'other';
+  if (kind === 'co_author' && isAiAssistant(name, email)) {
+    return 'ai_assist';
+  }
+  return kind;
+}
+
+// Git trailers: the last paragraph of the body, when every line is "Key: value" (indented lines continue the previous one)
+function parseTrailers(message) {
+  if (!message || typeof message !== 'string') {
+    return [];
+  }
+
+  const paragraphs = message.trim().split(/\n[ \t]*\n/);
+  if (paragraphs.length < 2) {
+    return [];
+  }
+
+  const trailers = [];
+  for (const line of paragraphs[paragraphs.length - 1].split('\n')) {
+    if (/^[ \t]+\S/.test(line) && trailers.length > 0) {
+      trailers[trailers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = TRAILER_LINE.exec(line.trim());
+    if (!match) {
+      return [];
+    }
+    trailers.push({ key: match[1], value: match[2].trim() });
+  }
+
+  return trailers.map((trailer) => {
+    const identity = IDENTITY.exec(trailer.value);
+    const name = identity ? identity[1] || null : null;
+    const email = identity ? identity[2] : null;
+    return { ...trailer, kind: classifyTrailer(trailer.key, name, email), name, email };
+  });
+}
+
+const WEBHOOK_FILE_LISTS = [
+  ['added', 'added'],
+  ['modified', 'modified'],
+  ['removed', 'removed']
+];
+
+// GitHub API commit detail carries files[] with line counts; webhook pushes only list paths
+function normalizeCommitFiles(raw) {
+  if (Array.isArray(raw.files)) {
+    return raw.files
+      .filter((file) => file?.filename)
+      .map((file) => ({
+        path: file.filename,
+        status: file.status || 'modified',
+        additions: Number.isInteger(file.additions) ? file.additions : null,
+        deletions: Number.isInteger(file.deletions) ? file.deletions : null
+      }));
+  }
+
+  const files = [];
+  for (const [key, status] of WEBHOOK_FILE_LISTS) {
+    for (const filePath of raw[key] || []) {
+      files.push({ path: filePath, status, additions: null, deletions: null });
+    }
+  }
+  return files;
 }
 
 function normalizeWebhookCommit(raw) {
@@ -67,30 +191,59 @@ function normalizeWebhookCommit(raw) {
   }
 
   const authorName = raw.author?.name || raw.committer?.name || 'unknown';
+  const { significant, reason } = classifyCommit(message);
 
   return {
     sha,
     message,
     author: authorName,
+    authorEmail: raw.author?.email || null,
+    authorLogin: raw.author?.username || null,
     committedAt: new Date(committedAt).toISOString(),
-    url: raw.url || null
+    url: raw.url || null,
+    significant,
+    significanceReason: reason,
+    files: normalizeCommitFiles(raw),
+    trailers: parseTrailers(message)
   };
 }
 
+// "refs/heads/feature/x" → "feature/x"; tags and other refs have no branch
+function branchFromRef(ref) {
+  if (!ref || typeof ref !== 'string' || !ref.startsWith('refs/heads/')) {
+    return null;
+  }
+  return ref.slice('refs/heads/'.length);
+}
+
 function parseWebhookCommits(rawCommits) {
-  const normalized = (rawCommits || [])
+  const rows = rawCommits || [];
+
+  // distinct: false — already pushed on another ref; ingesting again would double-count
+  const indistinct = rows
+    .filter((raw) => raw?.distinct === false)
+    .map((raw) => raw.id || raw.sha)
+    .filter(Boolean);
+
+  const normalized = rows
+    .filter((raw) => raw?.distinct !== false)
     .map(normalizeWebhookCommit)
     .filter(Boolean);
 
-  const significant = normalized.filter((commit) => isSignificantCommit(commit.message));
-  const filtered = normalized.length - significant.length;
+  // Every valid commit is stored; insignificant ones are flagged and filtered at query time
+  const filtered = normalized.filter((commit) => !commit.significant).length;
 
-  // allCommits: valid normalized rows (heatmap counts all; SQLite uses significant only)
-  return { commits: significant, allCommits: normalized, filtered, total: normalized.length };
+  return { commits: normalized, filtered, total: normalized.length, indistinct };
 }
 
 module.exports = {
+  branchFromRef,
+  classifyCommit,
   isSignificantCommit,
+  INSIGNIFICANT_PATTERNS,
+  normalizeCommitFiles,
   normalizeWebhookCommit,
-  parseWebhookCommits
+  parseTrailers,
+  parseWebhookCommits,
+  workTypeOf
 };
@@ -0,0 +1,36 @@
+// Forced pushes orphan the commits they replaced — find them so they stop counting as activity
+
+const { Octokit } = require('@octokit/rest');
+const { splitRepo } = require('./backfill');
+
+const ZERO_SHA = /^0+$/;
+
+// Commits reachable from the old tip but not the new one. Without GITHUB_TOKEN (or if GitHub
+// no longer has the old tip) only the old tip itself is known to be orphaned.
+async function findOrphanedShas({ repo, before, after }) {
+  if (!before || ZERO_SHA.test(before)) {
+    return [];
+  }
+  if (!process.env.GITHUB_TOKEN || !after || ZERO_SHA.test(after)) {
+    return [before];
+  }
+
+  const { owner, name } = splitRepo(repo);
+  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+
+  try {
+    const { data } = await octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo: name,
+      basehead: `${after}...${before}`,
+      per_page: 250
+    });
+    const shas = data.commits.map((commit) => commit.sha);
+    return shas.includes(before) ? shas : [...shas, before];
+  } catch (error) {
+    console.warn(`⚠️ Could not compare ${after.slice(0, 7)}...${before.slice(0, 7)} in ${repo}: ${error.message}`);
+    return [before];
+  }
+}
+
+module.exports = { findOrphanedShas };
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// Local clones → SQLite: `git log` over each project's workspacePath, no GitHub API or network needed
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const {
+  initDb,
+  seedProjectsFromConfig,
+  seedAuthorsFromConfig,
+  seedIgnoredReposFromConfig,
+  getIgnoredRepo,
+  insertCommits,
+  closeDb,
+  loadProjectsConfig,
+  getProjectById,
+  getProjectRepos,
+  getRepoRoutes,
+  getMostRecentCommitAt
+} = require('../db/store');
+const { defaultProjectsRoot, readRemoteRepos } = require('../db/workspace-discovery');
+const { parseWebhookCommits } = require('./commit-parser');
+const { assignProjects } = require('./path-routing');
+
+// Record separator before each commit, unit separator between header fields; --raw/--numstat lines follow
+const LOG_FORMAT = '%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1f';
+const RAW_STATUSES = { A: 'added', M: 'modified', D: 'removed' };
+
+function parseArgs(argv) {
+  const args = {
+    months: 6,
+    sinceLast: false,
+    projectId: null,
+    root: null,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--since-last' || arg === '-l') {
+      args.sinceLast = true;
+    } else if (arg === '--project' || arg === '-p') {
+      args.projectId = argv[++i];
+    } else if (arg === '--root' || arg === '-r') {
+      args.root = argv[++i];
+    } else if (arg === '--months' || arg === '-m') {
+      const n = parseInt(argv[++i], 10);
+      if (Number.isNaN(n) || n < 1 || n > 72) {
+        throw new Error('--months must be between 1 and 72');
+      }
+      args.months = n;
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+GitHub Activity Logger — ingest commits from local clones
+
+Usage: node ingest/local-git.js [options]
+
+Options:
+  -m, --months <n>     Read commits from the last N months (default: 6)
+  -l, --since-last     Incremental: since newest commit already in SQLite
+  -p, --project <id>   Single project id from config/projects.json
+  -r, --root <dir>     Folder holding the workspaces (default DEVRA_PROJECTS_ROOT or ~/Documents/Projects/Dev)
+  -h, --help           Show this help
+
+Reads the checked-out branch of each project's workspacePath. No GITHUB_TOKEN or network needed.
+
+Examples:
+  npm run backfill:local
+  npm run backfill:local -- --since-last
+  npm run backfill:local -- --project devra --months 12
+`);
+}
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    const gitArgs = ['-C', cwd, '-c', 'core.quotePath=false', ...args];
+    execFile('git', gitArgs, { maxBuffer: 256 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed in ${cwd}: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// `git log --raw --numstat` output → raw commits in the GitHub API shape commit-parser understands
+function parseGitLog(output, { repo = null } = {}) {
+  return output.split('\x1e').filter(Boolean).map((record) => {
+    const [sha, name, email, date, message, rest = ''] = record.split('\x1f');
+    const files = new Map();
+
+    for (const line of rest.split('\n')) {
+      if (line.startsWith(':')) {
+        // :100644 100644 abc123 def456 M\tpath
+        const [meta, filePath] = line.split('\t');
+        const status = RAW_STATUSES[meta.trim().split(/\s+/).pop()[0]] || 'modified';
+        files.set(filePath, { filename: filePath, status, additions: null, deletions: null });
+      } else if (/^(\d+|-)\t(\d+|-)\t/.test(line)) {
+        // Binary files report "-" for both counts
+        const [additions, deletions, filePath] = line.split('\t');
+        const file = files.get(filePath) || { filename: filePath, status: 'modified' };
+        files.set(filePath, {
+          ...file,
+          additions: additions === '-' ? null : parseInt(additions, 10),
+          deletions: deletions === '-' ? null : parseInt(deletions, 10)
+        });
+      }
+    }
+
+    return {
+      id: sha,
+      message,
+      url: repo ? `https://github.com/${repo}/commit/${sha}` : null,
+      author: { name, email },
+      timestamp: date,
+      files: [...files.values()]
+    };
+  });
+}
+
+async function readLocalCommits(workspace, { since, repo = null }) {
+  const output = await git(workspace, [
+    'log', `--since=${since.toISOString()}`, '--no-renames', '--raw', '--numstat', `--format=${LOG_FORMAT}`, 'HEAD'
+  ]);
+  return parseGitLog(output, { repo });
+}
+
+async function currentBranch(workspace) {
+  const branch = (await git(workspace, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  return branch === 'HEAD' ? null : branch;
+}
+
+function resolveSinceDate(projectId, repo, sinceLast, months) {
+  if (sinceLast) {
+    const latest = getMostRecentCommitAt(projectId, repo);
+    if (latest) {
+      // git's --since is inclusive — skip the commit we already have
+      return new Date(latest.getTime() + 1000);
+    }
+  }
+
+  const since = new Date();
+  since.setMonth(since.getMonth() - months);
+  return since;
+}
+
+// The project repo the clone's remotes point at, or null for a local-only project
+function workspaceRepo(projectId, workspace) {
+  const { repos } = readRemoteRepos(workspace);
+  const linked = getProjectRepos(projectId).find(({ repo }) =>
+    repos.some((remote) => remote.toLowerCase() === repo.toLowerCase())
+  );
+  return linked?.repo || null;
+}
+
+async function ingestWorkspace(project, workspace, options) {
+  const repo = workspaceRepo(project.id, workspace);
+  if (repo && getIgnoredRepo(repo)) {
+    console.log(`🙈 ${repo} is in data/ignored-repos.json — skipping ${workspace}`);
+    return { read: 0, inserted: 0, linked: 0, skipped: 0 };
+  }
+  const sinceDate = resolveSinceDate(project.id, repo, options.sinceLast, options.months);
+  const branch = await currentBranch(workspace);
+
+  console.log(`\n=== ${workspace} → ${project.id}${repo ? ` (${repo})` : ' (local only)'} since ${sinceDate.toISOString()} ===`);
+
+  const rawCommits = await readLocalCommits(workspace, { since: sinceDate, repo });
+  const { commits, filtered, total } = parseWebhookCommits(rawCommits);
+  if (filtered > 0) {
+    console.log(`🔍 Flagged ${filtered} insignificant of ${total} read`);
+  }
+  if (commits.length === 0) {
+    console.log('No commits to insert');
+    return { read: rawCommits.length, inserted: 0, linked: 0, skipped: 0 };
+  }
+
+  if (repo) {
+    assignProjects(commits, getRepoRoutes(repo));
+  }
+  const { inserted, linked, skipped } = insertCommits(commits, project.id, { branch, repo });
+  console.log(`💾 ${inserted} inserted, ${linked} linked (already stored), ${skipped} duplicate(s) skipped`);
+  return { read: rawCommits.length, inserted, linked, skipped };
+}
+
+async function runLocalIngest(options) {
+  initDb();
+  seedProjectsFromConfig();
+  seedAuthorsFromConfig();
+  seedIgnoredReposFromConfig();
+
+  const root = options.root || defaultProjectsRoot();
+  let entries = loadProjectsConfig().filter((entry) => entry.workspacePath);
+  if (options.projectId) {
+    entries = entries.filter((entry) => entry.id === options.projectId);
+    if (entries.length === 0) {
+      throw new Error(`Unknown project id "${options.projectId}" or it has no workspacePath — check config/projects.json`);
+    }
+  }
+
+  const totals = { read: 0, inserted: 0, linked: 0, skipped: 0 };
+  let failures = 0;
+
+  for (const entry of entries) {
+    const workspace = path.join(root, entry.workspacePath);
+    if (!fs.existsSync(path.join(workspace, '.git'))) {
+      console.warn(`⚠️ ${entry.id}: no git clone at ${workspace} — skipping`);
+      continue;
+    }
+
+    try {
+      const result = await ingestWorkspace(getProjectById(entry.id), workspace, options);
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key];
+      }
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${entry.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n=== Local ingest done ===`);
+  console.log(`Read: ${totals.read}, inserted: ${totals.inserted}, linked: ${totals.linked}, duplicates skipped: ${totals.skipped}`);
+  if (failures > 0) {
+    console.error(`❌ ${failures} workspace(s) failed`);
+  }
+  return { totals, failures };
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      printHelp();
+      process.exit(0);
+    }
+    runLocalIngest(options)
+      .then((result) => {
+        closeDb();
+        if (result.failures > 0 && result.totals.read === 0) {
+          process.exit(1);
+        }
+      })
+      .catch((err) => {
+        console.error('Local ingest failed:', err.message);
+        closeDb();
+        process.exit(1);
+      });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { runLocalIngest, parseGitLog, parseArgs };
@@ -0,0 +1,38 @@
+// Monorepo routing — a commit belongs to every project whose path prefixes it touches
+
+function pathMatches(filePath, prefix) {
+  return filePath === prefix || filePath.startsWith(`${prefix}/`);
+}
+
+// routes: [{ projectId, paths }] for one repo, from getRepoRoutes(); paths null marks the fallback project.
+// Returns project ids, fallback first when any file (or the lack of a file list) falls outside every prefix
+function routeCommit(files, routes) {
+  const fallback = routes.find((route) => !route.paths);
+  const scoped = routes.filter((route) => route.paths);
+  if (scoped.length === 0) {
+    return fallback ? [fallback.projectId] : [];
+  }
+
+  const matched = new Set();
+  let unmatched = files.length === 0;
+  for (const file of files) {
+    const hits = scoped.filter((route) => route.paths.some((prefix) => pathMatches(file.path, prefix)));
+    hits.forEach((route) => matched.add(route.projectId));
+    if (hits.length === 0) {
+      unmatched = true;
+    }
+  }
+
+  const projectIds = scoped.map((route) => route.projectId).filter((id) => matched.has(id));
+  return unmatched && fallback ? [fallback.projectId, ...projectIds] : projectIds;
+}
+
+// Sets commit.projectIds in place for insertCommits()
+function assignProjects(commits, routes) {
+  for (const commit of commits) {
+    commit.projectIds = routeCommit(commit.files || [], routes);
+  }
+  return commits;
+}
+
+module.exports = { routeCommit, assignProjects, pathMatches };
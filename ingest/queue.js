@@ -0,0 +1,138 @@
+// SQLite-backed ingest queue — one in-process worker per queue (project), retries with backoff, dead-letter
+
+const {
+  getProjectByRepo,
+  enqueueIngestJob,
+  listReadyIngestQueues,
+  claimIngestJob,
+  completeIngestJob,
+  failIngestJob,
+  recoverIngestJobs
+} = require('../db/store');
+const { processDelivery } = require('./webhook');
+
+const DEFAULTS = {
+  pollMs: 5000,
+  maxAttempts: 5,
+  retryBaseMs: 5000,
+  retryMaxMs: 10 * 60 * 1000
+};
+
+let settings = { ...DEFAULTS };
+let started = false;
+let draining = false;
+let timer = null;
+const active = new Map();
+
+function retryDelay(attempts) {
+  return Math.min(settings.retryBaseMs * 2 ** (attempts - 1), settings.retryMaxMs);
+}
+
+function queueForRepo(repo) {
+  return getProjectByRepo(repo)?.id || repo || 'unknown';
+}
+
+function enqueueDelivery(delivery) {
+  const job = enqueueIngestJob({
+    deliveryId: delivery.id,
+    queue: queueForRepo(delivery.repo),
+    maxAttempts: settings.maxAttempts
+  });
+  // Deferred so the webhook responds before any ingest work starts
+  setImmediate(pumpQueue);
+  return job;
+}
+
+async function runJob(job) {
+  let error = null;
+  try {
+    const delivery = await processDelivery(job.deliveryId);
+    if (delivery.status === 'failed') {
+      error = delivery.error || 'Delivery failed';
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    completeIngestJob(job.id);
+    return;
+  }
+
+  if (job.attempts >= job.maxAttempts) {
+    failIngestJob(job.id, { error });
+    console.error(`💀 Job ${job.id} (delivery ${job.deliveryId}) dead after ${job.attempts} attempt(s): ${error}`);
+    return;
+  }
+
+  const runAfter = new Date(Date.now() + retryDelay(job.attempts)).toISOString();
+  failIngestJob(job.id, { error, runAfter });
+  console.warn(`🔁 Job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed — retrying at ${runAfter}`);
+}
+
+// Starts a worker for every queue that has a due job and no worker yet
+function pumpQueue() {
+  if (!started || draining) return;
+
+  for (const queue of listReadyIngestQueues()) {
+    if (active.has(queue)) continue;
+
+    const job = claimIngestJob(queue);
+    if (!job) continue;
+
+    const worker = runJob(job)
+      .catch((err) => console.error(`❌ Ingest worker for ${queue} crashed:`, err))
+      .finally(() => {
+        active.delete(queue);
+        pumpQueue();
+      });
+    active.set(queue, worker);
+  }
+}
+
+function startQueue(options = {}) {
+  if (started) return;
+  settings = { ...DEFAULTS, ...options };
+  started = true;
+  draining = false;
+
+  const recovered = recoverIngestJobs();
+  if (recovered > 0) {
+    console.log(`♻️ Recovered ${recovered} interrupted ingest job(s)`);
+  }
+
+  // Picks up retries whose backoff has elapsed
+  timer = setInterval(pumpQueue, settings.pollMs);
+  timer.unref();
+  pumpQueue();
+}
+
+// Stops claiming jobs and waits for running ones; anything still running after timeoutMs is recovered next start
+async function drainQueue({ timeoutMs = 20000 } = {}) {
+  draining = true;
+  clearInterval(timer);
+  timer = null;
+
+  if (active.size > 0) {
+    console.log(`⏳ Draining ${active.size} ingest job(s)...`);
+    let timeoutId;
+    const timeout = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const finished = await Promise.race([Promise.all(active.values()).then(() => true), timeout]);
+    clearTimeout(timeoutId);
+    if (!finished) {
+      console.warn('⚠️ Drain timed out — unfinished jobs will be recovered on next start');
+    }
+  }
+
+  started = false;
+}
+
+module.exports = {
+  startQueue,
+  drainQueue,
+  pumpQueue,
+  enqueueDelivery,
+  retryDelay
+};
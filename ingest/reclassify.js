@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Re-run the insignificant-commit filter over stored history after INSIGNIFICANT_PATTERNS changes
+
+require('dotenv').config();
+
+const { initDb, reclassifyCommits, closeDb } = require('../db/store');
+const { classifyCommit } = require('./commit-parser');
+
+function parseArgs(argv) {
+  const args = { dryRun: false, help: false };
+  for (const arg of argv) {
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--dry-run' || arg === '-n') {
+      args.dryRun = true;
+    }
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+GitHub Activity Logger — reclassify stored commits
+
+Usage: node ingest/reclassify.js [options]
+
+Options:
+  -n, --dry-run   Report what would change without writing
+  -h, --help      Show this help
+
+Applies the current ingest/commit-parser.js rules to every commit in SQLite,
+updating the significant / significance_reason columns.
+
+Examples:
+  npm run reclassify -- --dry-run
+  npm run reclassify
+`);
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    initDb();
+    const result = reclassifyCommits(classifyCommit, { dryRun: options.dryRun });
+    console.log(`${options.dryRun ? '🔎 Dry run' : '✅ Reclassified'}: ${result.total} commit(s) checked`);
+    console.log(`  now significant: ${result.promoted}, now insignificant: ${result.demoted}, reason updated: ${result.reasonOnly}, unchanged: ${result.unchanged}`);
+  } catch (err) {
+    console.error('Reclassify failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    closeDb();
+  }
+}
+
+module.exports = { parseArgs };
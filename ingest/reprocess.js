@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Replay journaled webhook deliveries through the current commit-parser rules
+
+require('dotenv').config();
+
+const {
+  initDb,
+  seedProjectsFromConfig,
+  seedAuthorsFromConfig,
+  seedIgnoredReposFromConfig,
+  getWebhookDelivery,
+  closeDb
+} = require('../db/store');
+const { processDelivery, reprocessDeliveries } = require('./webhook');
+
+function parseArgs(argv) {
+  const args = { deliveryId: null, all: false, status: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--all' || arg === '-a') {
+      args.all = true;
+    } else if (arg === '--delivery' || arg === '-d') {
+      args.deliveryId = argv[++i];
+    } else if (arg === '--status' || arg === '-s') {
+      args.status = argv[++i];
+    }
+  }
+
+  if (!args.help && !args.all && !args.deliveryId) {
+    throw new Error('Pass --delivery <id> or --all (see --help)');
+  }
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+GitHub Activity Logger — reprocess webhook deliveries
+
+Usage: node ingest/reprocess.js [options]
+
+Options:
+  -d, --delivery <id>   Reprocess one delivery (X-GitHub-Delivery id)
+  -a, --all             Reprocess every journaled delivery, oldest first
+  -s, --status <s>      With --all: only deliveries in this status (e.g. failed)
+  -h, --help            Show this help
+
+Replays update SQLite only; the legacy heatmap and Notion sync are not re-run.
+
+Examples:
+  npm run reprocess -- --delivery 72d3162e-cc78-11e3-81ab-4c9367dc0958
+  npm run reprocess -- --all --status failed
+`);
+}
+
+async function run(options) {
+  initDb();
+  seedProjectsFromConfig();
+  seedAuthorsFromConfig();
+  seedIgnoredReposFromConfig();
+
+  if (options.deliveryId) {
+    if (!getWebhookDelivery(options.deliveryId)) {
+      throw new Error(`Unknown delivery "${options.deliveryId}"`);
+    }
+    const delivery = await processDelivery(options.deliveryId, { replay: true });
+    console.log(`${delivery.status === 'failed' ? '❌' : '✅'} ${delivery.id}: ${delivery.status}${delivery.error ? ` — ${delivery.error}` : ''}`);
+    return delivery.status === 'failed' ? 1 : 0;
+  }
+
+  const result = await reprocessDeliveries({ status: options.status });
+  console.log(`✅ Reprocessed ${result.total} deliver${result.total === 1 ? 'y' : 'ies'}: ${result.processed} processed, ${result.skipped} skipped, ${result.pending} held as pending, ${result.failed} failed`);
+  return result.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      printHelp();
+      process.exit(0);
+    }
+    run(options)
+      .then((code) => {
+        closeDb();
+        process.exitCode = code;
+      })
+      .catch((err) => {
+        console.error('Reprocess failed:', err.message);
+        closeDb();
+        process.exit(1);
+      });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,215 @@
+// Webhook delivery processing — run by the ingest queue, the admin API and ingest/reprocess.js
+
+const { updateCommitLog } = require('../services/server');
+const {
+  getProjectByRepo,
+  getProjectByGithubRepoId,
+  getRepoRoutes,
+  resolveProjectByRepository,
+  updateProjectRepository,
+  setProjectRepoArchived,
+  insertCommits,
+  recordCommitRefs,
+  markCommitsRewritten,
+  getWebhookDelivery,
+  loadWebhookDeliveryPayload,
+  listWebhookDeliveryIds,
+  startWebhookDelivery,
+  finishWebhookDelivery,
+  getIgnoredRepo,
+  holdPendingPush
+} = require('../db/store');
+const { parseWebhookCommits, branchFromRef } = require('./commit-parser');
+const { findOrphanedShas } = require('./force-push');
+const { assignProjects } = require('./path-routing');
+
+const NOTION_SYNC = process.env.NOTION_SYNC === 'true';
+
+// Already handled — a redelivery of one of these is acknowledged without running again
+const SETTLED_STATUSES = ['processing', 'processed', 'skipped', 'pending'];
+
+function getNotionLogger() {
+  if (!NOTION_SYNC) return null;
+  return require('../archive/legacy-notion-era/notion');
+}
+
+function withTimeout(promise, ms, message) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+// Returns 'processed', 'pending' when deliveryId's commits are held for an unknown repo,
+// or 'skipped' when the payload has nothing to ingest
+async function processPushPayload(payload, { replay = false, deliveryId = null } = {}) {
+  const rawCommits = payload.commits || [];
+  const repo = payload.repository.full_name;
+  const branch = branchFromRef(payload.ref);
+
+  // Journaled before the repo was ignored — a replay must not ingest or hold it either
+  if (getIgnoredRepo(repo)) {
+    console.log(`🙈 ${repo} is ignored — nothing to ingest`);
+    return 'skipped';
+  }
+
+  console.log(`📦 Processing ${rawCommits.length} commits from ${repo}`);
+
+  const project = resolveProjectByRepository({ githubRepoId: payload.repository.id, fullName: repo });
+  if (!project) {
+    // A name still linked to a project belongs to a different repository (see resolveProjectByRepository)
+    if (deliveryId && !payload.deleted && rawCommits.length > 0 && !getProjectByRepo(repo)) {
+      holdPendingPush({
+        deliveryId,
+        repo,
+        githubRepoId: payload.repository.id || null,
+        branch,
+        commitCount: rawCommits.length
+      });
+      console.warn(`⏸️ Unknown repo "${repo}" — holding ${rawCommits.length} commit(s) until it is approved via /api/admin/pending-repos`);
+      return 'pending';
+    }
+    console.warn(`⚠️ Unknown repo "${repo}" — add to config/projects.json to ingest commits`);
+    return 'skipped';
+  }
+
+  if (payload.deleted) {
+    console.log(`🗑️ ${payload.ref} deleted in ${repo} — nothing to ingest`);
+    return 'skipped';
+  }
+
+  const { commits, filtered, total, indistinct } = parseWebhookCommits(rawCommits);
+  if (filtered > 0) {
+    console.log(`🔍 Flagged ${filtered} insignificant commit(s) of ${total} normalized`);
+  }
+  if (indistinct.length > 0) {
+    console.log(`↪️ Skipped ${indistinct.length} commit(s) already pushed on another ref (distinct: false)`);
+  }
+
+  if (commits.length > 0) {
+    assignProjects(commits, getRepoRoutes(project.repo));
+    // A replay re-applies the current parser rules to commits the first run already stored
+    const { inserted, linked, skipped } = insertCommits(commits, project.id, { branch, repo: project.repo, refresh: replay });
+    console.log(`💾 SQLite: ${inserted} inserted, ${linked} linked (already stored), ${skipped} duplicate(s) skipped for ${project.id}${branch ? ` on ${branch}` : ''}`);
+  }
+
+  // Existing commits now reachable from this branch: indistinct ones, or the tip of a newly created branch
+  recordCommitRefs([...indistinct, payload.after].filter(Boolean), branch);
+
+  if (payload.forced && branch) {
+    const orphaned = await findOrphanedShas({ repo, before: payload.before, after: payload.after });
+    const marked = markCommitsRewritten(orphaned, { branch, replacedBy: payload.after, repo: project.repo });
+    console.log(`♻️ Force-push to ${branch}: ${marked} rewritten commit(s) tombstoned for ${project.id}`);
+  }
+
+  // Side outputs already saw this push the first time round — a replay only touches SQLite
+  if (replay) {
+    return 'processed';
+  }
+
+  if (NOTION_SYNC) {
+    const notion = getNotionLogger();
+    const result = await withTimeout(notion.logCommitsToNotion(rawCommits, repo), 25000, 'Notion API timeout');
+    console.log(`✅ Notion logging completed: ${result.processed} processed, ${result.skipped} skipped`);
+  }
+
+  // Legacy frozen heatmap — all valid commits, unfiltered (pre-G1 behavior)
+  if (commits.length > 0) {
+    const heatmapCommits = commits.map((c) => ({
+      id: c.sha,
+      message: c.message,
+      timestamp: c.committedAt,
+      url: c.url
+    }));
+    await withTimeout(updateCommitLog(heatmapCommits, project.name), 10000, 'Commit log update timeout');
+  }
+
+  return 'processed';
+}
+
+// full_name before a rename or transfer, rebuilt from payload.changes
+function previousFullName({ action, repository, changes }) {
+  if (action === 'renamed' && changes?.repository?.name?.from) {
+    return `${repository.owner.login}/${changes.repository.name.from}`;
+  }
+  if (action === 'transferred') {
+    const from = changes?.owner?.from;
+    const owner = from?.user?.login || from?.organization?.login;
+    return owner ? `${owner}/${repository.name}` : null;
+  }
+  return null;
+}
+
+// `repository` events: follow renames and transfers, record GitHub-side archiving
+async function processRepositoryPayload(payload) {
+  const { action, repository } = payload;
+  if (!['renamed', 'transferred', 'archived', 'unarchived'].includes(action)) {
+    return 'skipped';
+  }
+
+  const project = (repository.id && getProjectByGithubRepoId(repository.id))
+    || getProjectByRepo(previousFullName(payload) || repository.full_name);
+  if (!project) {
+    console.log(`ℹ️ repository.${action} for untracked ${repository.full_name}`);
+    return 'skipped';
+  }
+
+  if (action === 'archived' || action === 'unarchived') {
+    setProjectRepoArchived(project.repo, action === 'archived');
+    if (action === 'archived') {
+      console.warn(`⚠️ ${repository.full_name} was archived on GitHub — consider removing "${project.id}" from config/projects.json`);
+    }
+    return 'processed';
+  }
+
+  updateProjectRepository(project.repo, { githubRepoId: repository.id, fullName: repository.full_name });
+  return 'processed';
+}
+
+// Runs one journaled delivery and records the outcome; never throws for processing errors
+async function processDelivery(id, { replay = false } = {}) {
+  const delivery = getWebhookDelivery(id);
+  if (!delivery) {
+    throw new Error(`Unknown delivery "${id}"`);
+  }
+
+  startWebhookDelivery(id);
+  try {
+    let status = 'skipped';
+    if (delivery.event === 'push') {
+      status = await processPushPayload(loadWebhookDeliveryPayload(id), { replay, deliveryId: id });
+    } else if (delivery.event === 'repository') {
+      status = await processRepositoryPayload(loadWebhookDeliveryPayload(id));
+    } else {
+      console.log(`ℹ️ Ignoring ${delivery.event} event ${id}`);
+    }
+    finishWebhookDelivery(id, { status });
+  } catch (error) {
+    console.error(`❌ Delivery ${id} failed:`, error);
+    finishWebhookDelivery(id, { status: 'failed', error: error.message });
+  }
+
+  return getWebhookDelivery(id);
+}
+
+// Replays stored deliveries oldest-first through the current commit-parser rules
+async function reprocessDeliveries({ status = null } = {}) {
+  const ids = listWebhookDeliveryIds({ status });
+  const counts = { total: ids.length, processed: 0, skipped: 0, pending: 0, failed: 0 };
+
+  for (const id of ids) {
+    const result = await processDelivery(id, { replay: true });
+    counts[result.status]++;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  processPushPayload,
+  processRepositoryPayload,
+  processDelivery,
+  reprocessDeliveries,
+  SETTLED_STATUSES
+};
@@ -0,0 +1,488 @@
+const express = require('express');
+const { requireAdminAuth, asyncHandler } = require('../services/server');
+const {
+  listAuthors,
+  getAuthorById,
+  removeAuthorAliases,
+  seedAuthorsFromConfig,
+  seedProjectsFromConfig,
+  countProjectCommits,
+  moveProjectCommits,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  finishWebhookDelivery,
+  getProjectByRepo,
+  listPendingRepos,
+  listPendingPushIds,
+  releasePendingPushes,
+  seedIgnoredReposFromConfig,
+  listIgnoredRepos,
+  listIngestJobs,
+  getIngestJob,
+  requeueIngestJob
+} = require('../db/store');
+const { loadAuthorsConfig, writeAuthorsConfig } = require('../db/authors-config');
+const { loadProjectsConfig, writeProjectsConfig, projectRepos } = require('../db/projects-config');
+const { loadIgnoredRepos, writeIgnoredRepos, findIgnoredEntry } = require('../db/ignored-repos');
+const { discoverWorkspaces, applyDiscoverySuggestions, slugify } = require('../db/workspace-discovery');
+const { processDelivery, reprocessDeliveries } = require('../ingest/webhook');
+const { pumpQueue } = require('../ingest/queue');
+
+const router = express.Router();
+
+router.use(requireAdminAuth);
+
+function toAuthorEntry(author) {
+  return { name: author.name, emails: author.emails, names: author.names, logins: author.logins };
+}
+
+function mergeAuthorEntries(base, extra) {
+  const union = (a = [], b = []) => [...new Set([...a, ...b])];
+  return {
+    name: extra.name || base.name,
+    emails: union(base.emails, extra.emails),
+    names: union(base.names, extra.names),
+    logins: union(base.logins, extra.logins)
+  };
+}
+
+// A config entry belongs to an author when they share the canonical name or any alias
+function entryMatchesAuthor(entry, author) {
+  const lower = (values = []) => values.map((v) => v.toLowerCase());
+  if (entry.name.toLowerCase() === author.name.toLowerCase()) return true;
+  return ['emails', 'names', 'logins'].some((field) =>
+    lower(entry[field]).some((value) => lower(author[field]).includes(value))
+  );
+}
+
+// Lists set in `replacement` take the place of the author's; the others are kept
+function replaceAuthorEntry(base, replacement, present) {
+  const entry = { ...base, name: replacement.name || base.name };
+  const removed = {};
+  for (const field of ['emails', 'names', 'logins']) {
+    if (present.includes(field)) {
+      entry[field] = replacement[field];
+      removed[field] = base[field].filter((value) => !replacement[field].includes(value));
+    }
+  }
+  return { entry, removed };
+}
+
+// Replace the entries for `authors` with `entry`, persist, and re-apply so commits relink immediately.
+// `removed` aliases (see replaceAuthorEntry) are taken off authors[0] first
+function saveAuthorEntry(entry, authors = [], removed = null) {
+  const entries = loadAuthorsConfig().filter((existing) =>
+    !authors.some((author) => entryMatchesAuthor(existing, author))
+  );
+  entries.push(entry);
+  writeAuthorsConfig(entries);
+  if (removed) {
+    removeAuthorAliases(authors[0].id, removed);
+  }
+  seedAuthorsFromConfig();
+  return listAuthors().find((author) => author.name === entry.name) || null;
+}
+
+function parseAuthorBody(body) {
+  const entry = { name: typeof body?.name === 'string' ? body.name.trim() : '' };
+  for (const field of ['emails', 'names', 'logins']) {
+    if (body?.[field] !== undefined && !Array.isArray(body[field])) {
+      return { error: `${field} must be an array` };
+    }
+    entry[field] = body?.[field] || [];
+  }
+  return { entry };
+}
+
+router.get('/authors', (req, res) => {
+  res.json({ authors: listAuthors() });
+});
+
+router.post('/authors', (req, res) => {
+  const { entry, error } = parseAuthorBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!entry.name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  try {
+    const existing = loadAuthorsConfig().find((e) => e.name.toLowerCase() === entry.name.toLowerCase());
+    const author = saveAuthorEntry(existing ? mergeAuthorEntries(existing, entry) : entry, existing ? [existing] : []);
+    res.status(201).json({ author });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ?replace=true: alias lists in the body replace the stored ones instead of being added to them
+router.patch('/authors/:id', (req, res) => {
+  const author = getAuthorById(parseInt(req.params.id, 10));
+  if (!author) {
+    return res.status(404).json({ error: 'Author not found' });
+  }
+
+  const { entry, error } = parseAuthorBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    let updated;
+    if (req.query.replace === 'true') {
+      const present = ['emails', 'names', 'logins'].filter((field) => req.body?.[field] !== undefined);
+      const { entry: replaced, removed } = replaceAuthorEntry(toAuthorEntry(author), entry, present);
+      updated = saveAuthorEntry(replaced, [author], removed);
+    } else {
+      updated = saveAuthorEntry(mergeAuthorEntries(toAuthorEntry(author), entry), [author]);
+    }
+    res.json({ author: updated });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.post('/authors/:id/merge', (req, res) => {
+  const target = getAuthorById(parseInt(req.params.id, 10));
+  if (!target) {
+    return res.status(404).json({ error: 'Author not found' });
+  }
+
+  const fromIds = Array.isArray(req.body?.from) ? req.body.from : [req.body?.from];
+  const sources = fromIds.map((id) => getAuthorById(parseInt(id, 10)));
+  if (sources.length === 0 || sources.some((source) => !source)) {
+    return res.status(400).json({ error: 'from must list existing author ids' });
+  }
+
+  try {
+    const merged = sources.reduce(
+      (entry, source) => mergeAuthorEntries(entry, { ...toAuthorEntry(source), name: null }),
+      toAuthorEntry(target)
+    );
+    const author = saveAuthorEntry(merged, [target, ...sources]);
+    res.json({ author });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+const PROJECT_FIELDS = ['id', 'name', 'repo', 'repos', 'workspacePath', 'category', 'tags'];
+
+// Known fields only; null clears an optional one on PATCH
+function parseProjectBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a project object' };
+  }
+  const fields = {};
+  for (const field of PROJECT_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return { fields };
+}
+
+function withoutNulls(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== null));
+}
+
+// Re-seeds projects, then the ignore list against them — an ignore entry naming a newly configured repo
+// must stop dropping its webhooks now, not at the next restart
+function applyProjectsConfig(config) {
+  seedProjectsFromConfig(config);
+  seedIgnoredReposFromConfig(loadIgnoredRepos(), config);
+}
+
+// Validates and writes config/projects.json, then re-seeds so the change is live before the file watcher fires
+function saveProjectsConfig(config) {
+  const saved = writeProjectsConfig(config);
+  applyProjectsConfig(saved);
+  return saved;
+}
+
+router.post('/projects', (req, res) => {
+  const { fields, error } = parseProjectBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entry = withoutNulls(fields);
+    saveProjectsConfig([...loadProjectsConfig(), entry]);
+    res.status(201).json({ project: entry });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Changing `id` would leave the project's commits on an archived id; ?migrate=true moves them to the new one
+router.patch('/projects/:id', (req, res) => {
+  const config = loadProjectsConfig();
+  const index = config.findIndex((entry) => entry.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const { fields, error } = parseProjectBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const entry = withoutNulls({ ...config[index], ...fields });
+  const renamed = entry.id !== req.params.id;
+  const migrate = req.query.migrate === 'true';
+  const commitCount = renamed ? countProjectCommits(req.params.id) : 0;
+  if (commitCount > 0 && !migrate) {
+    return res.status(400).json({
+      error: `Project "${req.params.id}" has ${commitCount} commit(s) — pass ?migrate=true to move them to "${entry.id}"`
+    });
+  }
+
+  try {
+    saveProjectsConfig(config.map((existing, i) => (i === index ? entry : existing)));
+    const moved = renamed && migrate ? moveProjectCommits(req.params.id, entry.id) : 0;
+    res.json({ project: entry, ...(renamed ? { renamedFrom: req.params.id, movedCommits: moved } : {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// The project is archived, not deleted — its commits stay queryable (see seedProjectsFromConfig)
+router.delete('/projects/:id', (req, res) => {
+  const config = loadProjectsConfig();
+  if (!config.some((entry) => entry.id === req.params.id)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  try {
+    saveProjectsConfig(config.filter((entry) => entry.id !== req.params.id));
+    res.json({ archived: req.params.id });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Local clones under DEVRA_PROJECTS_ROOT matched to projects by git remote (db/workspace-discovery.js)
+router.get('/workspaces', (req, res) => {
+  try {
+    res.json(discoverWorkspaces());
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Applies the suggestions named by body.ids — the ids from the GET /workspaces report that was reviewed.
+// The disk is scanned again; an id that is no longer suggested means the report is stale and nothing is written
+router.post('/workspaces/apply', (req, res) => {
+  const ids = req.body?.ids;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids must list the suggestion ids to apply' });
+  }
+
+  try {
+    const { suggestions } = discoverWorkspaces();
+    const selected = suggestions.filter((suggestion) => ids.includes(suggestion.id));
+    const stale = ids.filter((id) => !selected.some((suggestion) => suggestion.id === id));
+    if (stale.length > 0) {
+      return res.status(409).json({
+        error: 'Some suggestions no longer match the workspaces on disk — review GET /api/admin/workspaces again',
+        stale
+      });
+    }
+    applyProjectsConfig(applyDiscoverySuggestions(selected));
+    res.json({ applied: selected });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Pushes from repos missing from config/projects.json, held by ingest/webhook.js until approved or discarded
+router.get('/pending-repos', (req, res) => {
+  res.json({ repos: listPendingRepos() });
+});
+
+// Adds the repo to the config — as a new project, or to the existing one named by body.id —
+// then runs its held deliveries oldest first. A repo already configured by hand is only run.
+// Held pushes were never ingested, so this is their first run (replay: false) and they reach
+// the commit log and Notion like any other push
+router.post('/pending-repos/:owner/:name/approve', asyncHandler(async (req, res) => {
+  const repo = `${req.params.owner}/${req.params.name}`;
+  const pending = listPendingRepos().find((entry) => entry.repo.toLowerCase() === repo.toLowerCase());
+  if (!pending) {
+    return res.status(404).json({ error: `No pending pushes for ${repo}` });
+  }
+
+  const { fields, error } = parseProjectBody(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let project = null;
+  if (!getProjectByRepo(pending.repo)) {
+    const config = loadProjectsConfig();
+    const index = config.findIndex((entry) => entry.id === fields.id);
+    project = index === -1
+      ? withoutNulls({ id: slugify(req.params.name), name: req.params.name, ...fields, repo: pending.repo })
+      : { ...config[index], repos: [...(config[index].repos || []), pending.repo] };
+    try {
+      saveProjectsConfig(index === -1 ? [...config, project] : config.map((entry, i) => (i === index ? project : entry)));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const ids = listPendingPushIds(pending.repo);
+  const replayed = { total: ids.length, processed: 0, skipped: 0, pending: 0, failed: 0 };
+  const released = [];
+  for (const id of ids) {
+    const { status } = await processDelivery(id, { replay: false });
+    replayed[status]++;
+    if (status !== 'failed' && status !== 'pending') {
+      released.push(id);
+    }
+  }
+  releasePendingPushes(pending.repo, released);
+
+  res.json({ repo: pending.repo, project, replayed });
+}));
+
+// Marks the held deliveries skipped and stops holding them; returns how many were dropped
+function discardPendingPushes(repo) {
+  for (const id of listPendingPushIds(repo)) {
+    finishWebhookDelivery(id, { status: 'skipped' });
+  }
+  return releasePendingPushes(repo);
+}
+
+// Drops the held pushes; their deliveries stay in the journal as skipped
+router.delete('/pending-repos/:owner/:name', (req, res) => {
+  const repo = `${req.params.owner}/${req.params.name}`;
+  if (listPendingPushIds(repo).length === 0) {
+    return res.status(404).json({ error: `No pending pushes for ${repo}` });
+  }
+
+  res.json({ repo, discarded: discardPendingPushes(repo) });
+});
+
+// Validates and writes data/ignored-repos.json, then re-seeds so webhooks are dropped immediately
+function saveIgnoredRepos(entries) {
+  const saved = writeIgnoredRepos(entries);
+  seedIgnoredReposFromConfig(saved);
+  return saved;
+}
+
+router.get('/ignored-repos', (req, res) => {
+  res.json({ repos: listIgnoredRepos() });
+});
+
+// Body { name, reason }: name is "owner/repo", or a bare repo name to ignore it under every owner.
+// Ignoring a repo again updates its reason; its held pending pushes are discarded
+router.post('/ignored-repos', (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  if (req.body.reason !== undefined && req.body.reason !== null && typeof req.body.reason !== 'string') {
+    return res.status(400).json({ error: 'reason must be a string' });
+  }
+
+  const entry = { name, ignoredAt: new Date().toISOString(), reason: req.body.reason || null };
+  const tracked = loadProjectsConfig().find((project) =>
+    projectRepos(project).some(({ repo }) => findIgnoredEntry([entry], repo))
+  );
+  if (tracked) {
+    return res.status(400).json({ error: `"${name}" is a repo of project "${tracked.id}" — remove it from config/projects.json first` });
+  }
+
+  try {
+    const others = loadIgnoredRepos().filter((existing) => existing.name.toLowerCase() !== name.toLowerCase());
+    saveIgnoredRepos([...others, entry]);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const discarded = listPendingRepos()
+    .filter(({ repo }) => findIgnoredEntry([entry], repo))
+    .reduce((n, { repo }) => n + discardPendingPushes(repo), 0);
+  res.status(201).json({ ignored: entry, discardedPending: discarded });
+});
+
+router.delete(['/ignored-repos/:owner/:name', '/ignored-repos/:name'], (req, res) => {
+  const name = req.params.owner ? `${req.params.owner}/${req.params.name}` : req.params.name;
+  const entries = loadIgnoredRepos();
+  const remaining = entries.filter((entry) => entry.name.toLowerCase() !== name.toLowerCase());
+  if (remaining.length === entries.length) {
+    return res.status(404).json({ error: `"${name}" is not ignored` });
+  }
+
+  saveIgnoredRepos(remaining);
+  res.json({ unignored: name });
+});
+
+const DELIVERY_STATUSES = ['received', 'processing', 'processed', 'skipped', 'pending', 'failed'];
+
+router.get('/deliveries', (req, res) => {
+  const status = req.query.status || null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  if (Number.isNaN(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be between 1 and 500' });
+  }
+
+  res.json({ deliveries: listWebhookDeliveries({ status, limit }) });
+});
+
+// Body { status } narrows the replay, e.g. { "status": "failed" }; omit it to replay everything
+router.post('/deliveries/reprocess', asyncHandler(async (req, res) => {
+  const status = req.body?.status || null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  res.json(await reprocessDeliveries({ status }));
+}));
+
+router.post('/deliveries/:id/reprocess', asyncHandler(async (req, res) => {
+  if (!getWebhookDelivery(req.params.id)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  const delivery = await processDelivery(req.params.id, { replay: true });
+  res.json({ delivery });
+}));
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'dead'];
+
+router.get('/jobs', (req, res) => {
+  const status = req.query.status || null;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  if (Number.isNaN(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be between 1 and 500' });
+  }
+
+  res.json(listIngestJobs({ status, limit }));
+});
+
+router.post('/jobs/:id/retry', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const job = getIngestJob(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!requeueIngestJob(id)) {
+    return res.status(400).json({ error: `Only dead jobs can be retried (job is ${job.status})` });
+  }
+
+  pumpQueue();
+  res.json({ job: getIngestJob(id) });
+});
+
+module.exports = router;
@@ -2,25 +2,24 @@ const express = require('express');
 const {
   listProjectsWithLastCommit,
   getActivityInRange,
+  getCategoryActivityInRange,
+  getDailyActivity,
   getProjectById,
-  getProjectCommits
+  getProjectCommits,
+  getProjectCommitsInWindow,
+  listCommits,
+  findCommitShas,
+  getCommit,
+  getFileHotspots,
+  searchCommits
 } = require('../db/store');
+const { parseSearchQuery } = require('../db/search-query');
+const { summarizeProject } = require('../db/project-summary');
+const { requireLoggerAuth } = require('../services/server');
+const timezoneConfig = require('../scripts/timezone-config');
 
 const router = express.Router();
 
-function requireLoggerAuth(req, res, next) {
-  const expected = process.env.GITHUB_LOGGER_TOKEN;
-  if (!expected) {
-    return next();
-  }
-  const header = req.headers.authorization || '';
-  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
-  if (token !== expected) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}
-
 function parseIso8601(value, paramName) {
   if (!value) {
     return { error: `${paramName} is required` };
@@ -32,32 +31,232 @@ function parseIso8601(value, paramName) {
   return { date: date.toISOString() };
 }
 
+// since/until for the activity endpoints — both required, since first
+function parseRange(query) {
+  const sinceResult = parseIso8601(query.since, 'since');
+  if (sinceResult.error) {
+    return sinceResult;
+  }
+  const untilResult = parseIso8601(query.until, 'until');
+  if (untilResult.error) {
+    return untilResult;
+  }
+  if (sinceResult.date > untilResult.date) {
+    return { error: 'since must be before until' };
+  }
+  return { since: sinceResult.date, until: untilResult.date };
+}
+
+// ?category= / ?tag= — project labels from config/projects.json
+function parseProjectFilters(query) {
+  const filters = {};
+  for (const key of ['category', 'tag']) {
+    if (typeof query[key] === 'string' && query[key].trim()) {
+      filters[key] = query[key].trim();
+    }
+  }
+  return filters;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAILY_DAYS = 366;
+
+// A real calendar date — Date.parse rolls 2026-02-31 over into March instead of rejecting it
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+// from/to local dates (both or neither), else the last `days` local days ending today
+function parseDayRange(query, today) {
+  if (query.from !== undefined || query.to !== undefined) {
+    for (const key of ['from', 'to']) {
+      if (!isCalendarDate(query[key])) {
+        return { error: `${key} must be a YYYY-MM-DD date` };
+      }
+    }
+    if (query.from > query.to) {
+      return { error: 'from must not be after to' };
+    }
+    if (daysBetween(query.from, query.to) > MAX_DAILY_DAYS) {
+      return { error: `from..to may span at most ${MAX_DAILY_DAYS} days` };
+    }
+    return { from: query.from, to: query.to };
+  }
+
+  // Whole days only — parseInt would read "2.5" as 2
+  const days = query.days === undefined ? 28 : (/^\d+$/.test(query.days) ? Number(query.days) : NaN);
+  if (Number.isNaN(days) || days < 1 || days > MAX_DAILY_DAYS) {
+    return { error: `days must be between 1 and ${MAX_DAILY_DAYS}` };
+  }
+  const from = new Date(Date.parse(`${today}T00:00:00Z`) - (days - 1) * 86400000).toISOString().slice(0, 10);
+  return { from, to: today };
+}
+
+function parseCommitFilters(query) {
+  const filters = {};
+  if (typeof query.branch === 'string' && query.branch.trim()) {
+    filters.branch = query.branch.trim();
+  }
+  filters.includeRewritten = query.includeRewritten === 'true';
+  // Insignificant commits are stored but hidden unless ?include=all
+  filters.includeAll = query.include === 'all';
+  return filters;
+}
+
+const COMMIT_ORDERS = ['desc', 'asc'];
+
+// Opaque to clients: base64url of the last row's position and the order it was read in
+function encodeCursor(commit, order) {
+  return Buffer.from(JSON.stringify({ t: commit.committedAt, s: commit.sha, o: order })).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  try {
+    const { t, s, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t !== 'string' || typeof s !== 'string' || o !== order) {
+      return null;
+    }
+    return { committedAt: t, sha: s };
+  } catch (error) {
+    return null;
+  }
+}
+
+// since/until/author/q/order/cursor/limit for the commit listings (db/store.js buildCommitListing)
+function parseCommitListing(query) {
+  const options = { since: null, until: null };
+  for (const key of ['since', 'until']) {
+    if (query[key]) {
+      const result = parseIso8601(query[key], key);
+      if (result.error) {
+        return result;
+      }
+      options[key] = result.date;
+    }
+  }
+  if (options.since && options.until && options.since > options.until) {
+    return { error: 'since must be before until' };
+  }
+
+  options.order = query.order || 'desc';
+  if (!COMMIT_ORDERS.includes(options.order)) {
+    return { error: `order must be one of ${COMMIT_ORDERS.join(', ')}` };
+  }
+
+  if (query.cursor) {
+    options.after = decodeCursor(query.cursor, options.order);
+    if (!options.after) {
+      return { error: 'Invalid cursor — pass nextCursor from the previous page with the same order' };
+    }
+  }
+
+  for (const key of ['author', 'q']) {
+    options[key] = typeof query[key] === 'string' && query[key].trim() ? query[key].trim() : null;
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+  return { options, limit };
+}
+
+// Listings fetch one row past `limit` to tell whether another page exists
+function paginate(rows, limit, order) {
+  const commits = rows.slice(0, limit);
+  return {
+    commits,
+    nextCursor: rows.length > limit ? encodeCursor(commits[commits.length - 1], order) : null
+  };
+}
+
+// ?project= ids, repeatable or comma-separated; unknown is the first id with no project
+function parseProjectIds(query) {
+  if (query.project === undefined) {
+    return { projectIds: null };
+  }
+  const projectIds = [].concat(query.project).flatMap((value) => String(value).split(',')).map((id) => id.trim()).filter(Boolean);
+  return { projectIds, unknown: projectIds.find((id) => !getProjectById(id)) };
+}
+
 router.use(requireLoggerAuth);
 
+const PROJECT_STATUSES = ['active', 'archived', 'all'];
+
 router.get('/projects', (req, res) => {
-  res.json({ projects: listProjectsWithLastCommit() });
+  const status = req.query.status || 'active';
+  if (!PROJECT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${PROJECT_STATUSES.join(', ')}` });
+  }
+
+  res.json({
+    projects: listProjectsWithLastCommit(parseCommitFilters(req.query), { status, ...parseProjectFilters(req.query) })
+  });
 });
 
 router.get('/activity', (req, res) => {
-  const sinceResult = parseIso8601(req.query.since, 'since');
-  if (sinceResult.error) {
-    return res.status(400).json({ error: sinceResult.error });
+  const { since, until, error } = parseRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  const untilResult = parseIso8601(req.query.until, 'until');
-  if (untilResult.error) {
-    return res.status(400).json({ error: untilResult.error });
+
+  if (req.query.breakdown !== undefined && req.query.breakdown !== 'repo') {
+    return res.status(400).json({ error: 'breakdown must be "repo"' });
   }
 
-  const since = sinceResult.date;
-  const until = untilResult.date;
-  if (since > until) {
-    return res.status(400).json({ error: 'since must be before until' });
+  res.json({
+    since,
+    until,
+    projects: getActivityInRange(since, until, parseCommitFilters(req.query), {
+      byRepo: req.query.breakdown === 'repo',
+      ...parseProjectFilters(req.query)
+    })
+  });
+});
+
+// Heatmap input: commits per local day (timezone and cutoff from scripts/timezone-config.js) and project
+router.get('/activity/daily', (req, res) => {
+  const dayOf = (timestamp) => timezoneConfig.getEffectiveDate(timestamp);
+  const { from, to, error } = parseDayRange(req.query, dayOf(new Date()));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { projectIds, unknown } = parseProjectIds(req.query);
+  if (unknown) {
+    return res.status(404).json({ error: `Project "${unknown}" not found` });
   }
 
+  const { timezone, cutoffHour, cutoffMinute } = timezoneConfig.getConfig();
+  res.json({
+    from,
+    to,
+    timezone,
+    cutoff: `${String(cutoffHour).padStart(2, '0')}:${String(cutoffMinute).padStart(2, '0')}`,
+    ...getDailyActivity(from, to, parseCommitFilters(req.query), {
+      dayOf,
+      projectIds,
+      ...parseProjectFilters(req.query)
+    })
+  });
+});
+
+router.get('/categories/activity', (req, res) => {
+  const { since, until, error } = parseRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { tag } = parseProjectFilters(req.query);
   res.json({
     since,
     until,
-    projects: getActivityInRange(since, until)
+    categories: getCategoryActivityInRange(since, until, parseCommitFilters(req.query), { tag })
   });
 });
 
@@ -67,6 +266,59 @@ router.get('/projects/:id/commits', (req, res) => {
     return res.status(404).json({ error: 'Project not found' });
   }
 
+  const { options, limit, error } = parseCommitListing(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { since, ...rest } = options;
+  res.json({
+    projectId: project.id,
+    ...paginate(getProjectCommits(project.id, since, limit + 1, parseCommitFilters(req.query), rest), limit, options.order)
+  });
+});
+
+// Weekly blurb for one project: the last `days` days, compared with the `days` before them
+router.get('/projects/:id/summary', (req, res) => {
+  const project = getProjectById(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 7;
+  if (Number.isNaN(days) || days < 1 || days > MAX_DAILY_DAYS) {
+    return res.status(400).json({ error: `days must be between 1 and ${MAX_DAILY_DAYS}` });
+  }
+
+  const now = Date.now();
+  const until = new Date(now).toISOString();
+  const since = new Date(now - days * 86400000).toISOString();
+  const previousSince = new Date(now - 2 * days * 86400000).toISOString();
+  const filters = parseCommitFilters(req.query);
+  const dayOf = (timestamp) => timezoneConfig.getEffectiveDate(timestamp);
+
+  const summary = summarizeProject(
+    getProjectCommitsInWindow(project.id, since, until, filters),
+    getProjectCommitsInWindow(project.id, previousSince, since, filters),
+    { dayOf }
+  );
+  res.json({
+    projectId: project.id,
+    name: project.name,
+    days,
+    since,
+    until,
+    ...summary,
+    previous: { since: previousSince, until: since, ...summary.previous }
+  });
+});
+
+router.get('/projects/:id/files/hotspots', (req, res) => {
+  const project = getProjectById(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
   let since = null;
   if (req.query.since) {
     const sinceResult = parseIso8601(req.query.since, 'since');
@@ -76,11 +328,73 @@ router.get('/projects/:id/commits', (req, res) => {
     since = sinceResult.date;
   }
 
-  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
 
   res.json({
     projectId: project.id,
-    commits: getProjectCommits(project.id, since, limit)
+    since,
+    files: getFileHotspots(project.id, since, limit, parseCommitFilters(req.query))
+  });
+});
+
+// Merged timeline across all projects, same parameters as the project listing plus ?project=
+router.get('/commits', (req, res) => {
+  const { options, limit, error } = parseCommitListing(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { projectIds, unknown } = parseProjectIds(req.query);
+  if (unknown) {
+    return res.status(404).json({ error: `Project "${unknown}" not found` });
+  }
+
+  res.json(paginate(listCommits(limit + 1, parseCommitFilters(req.query), { ...options, projectIds }), limit, options.order));
+});
+
+const SHA_PREFIX = /^[0-9a-f]{4,40}$/i;
+
+// Full SHA or a unique prefix of at least 4 characters; tombstoned and insignificant commits are found too
+router.get('/commits/:sha', (req, res) => {
+  if (!SHA_PREFIX.test(req.params.sha)) {
+    return res.status(400).json({ error: 'sha must be 4 to 40 hex characters' });
+  }
+
+  const shas = findCommitShas(req.params.sha.toLowerCase());
+  if (shas.length === 0) {
+    return res.status(404).json({ error: 'Commit not found' });
+  }
+  if (shas.length > 1) {
+    return res.status(400).json({ error: `SHA prefix "${req.params.sha}" is ambiguous — use more characters` });
+  }
+
+  res.json({ commit: getCommit(shas[0]) });
+});
+
+router.get('/search', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  const { query, error } = parseSearchQuery(q);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  query.includeRewritten = req.query.includeRewritten === 'true';
+  query.includeAll = req.query.include === 'all';
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { total, results } = searchCommits(query, { limit, offset });
+
+  res.json({
+    query: q,
+    total,
+    limit,
+    offset,
+    nextOffset: offset + results.length < total ? offset + results.length : null,
+    results
   });
 });
 
@@ -1,5 +1,6 @@
 const express = require('express');
 const apiDevraRoutes = require('./api-devra');
+const apiAdminRoutes = require('./api-admin');
 const webhookRoutes = require('./webhook');
 const timezoneRoutes = require('./timezone');
 const colorPaletteRoutes = require('./color-palette');
@@ -7,6 +8,7 @@ const heatmapApiRoutes = require('./heatmap-api');
 
 const router = express.Router();
 
+router.use('/admin', apiAdminRoutes);
 router.use('/', apiDevraRoutes);
 router.use('/', heatmapApiRoutes);
 router.use('/timezone-config', timezoneRoutes);
@@ -1,15 +1,11 @@
+const crypto = require('crypto');
 const express = require('express');
-const { updateCommitLog, verifySignature, asyncHandler } = require('../services/server');
-const { getProjectByRepo, insertCommits } = require('../db/store');
-const { parseWebhookCommits } = require('../ingest/commit-parser');
+const { verifySignature, asyncHandler } = require('../services/server');
+const { recordWebhookDelivery, getWebhookDelivery, getIgnoredRepo } = require('../db/store');
+const { SETTLED_STATUSES } = require('../ingest/webhook');
+const { enqueueDelivery } = require('../ingest/queue');
 
 const router = express.Router();
-const NOTION_SYNC = process.env.NOTION_SYNC === 'true';
-
-function getNotionLogger() {
-  if (!NOTION_SYNC) return null;
-  return require('../archive/legacy-notion-era/notion');
-}
 
 router.post('/webhook', asyncHandler(async (req, res) => {
   console.log('🔔 Received webhook request');
@@ -26,60 +22,34 @@ router.post('/webhook', asyncHandler(async (req, res) => {
       return res.status(400).json({ error: 'Missing repository in payload' });
     }
 
-    const rawCommits = payload.commits || [];
     const repo = payload.repository.full_name;
+    // Listed in data/ignored-repos.json — not journaled, queued or held as pending
+    const ignored = getIgnoredRepo(repo);
+    if (ignored) {
+      console.log(`🙈 ${repo} is ignored (${ignored.name}) — dropping webhook`);
+      return res.status(200).json({ accepted: false, ignored: true, repo });
+    }
 
-    res.status(202).json({ accepted: true, commits: rawCommits.length, repo });
-
-    setImmediate(async () => {
-      console.log(`📦 Background processing ${rawCommits.length} commits from ${repo}`);
-      try {
-        const project = getProjectByRepo(repo);
-        if (!project) {
-          console.warn(`⚠️ Unknown repo "${repo}" — add to config/projects.json to ingest commits`);
-          return;
-        }
-
-        const { commits, allCommits, filtered, total } = parseWebhookCommits(rawCommits);
-        if (filtered > 0) {
-          console.log(`🔍 Filtered ${filtered} insignificant commit(s) from ${total} normalized (SQLite only)`);
-        }
-
-        if (commits.length > 0) {
-          const { inserted, skipped } = insertCommits(commits, project.id);
-          console.log(`💾 SQLite: ${inserted} inserted, ${skipped} duplicate(s) skipped for ${project.id}`);
-        }
-
-        if (NOTION_SYNC) {
-          const notion = getNotionLogger();
-          const notionPromise = notion.logCommitsToNotion(rawCommits, repo);
-          const notionTimeout = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Notion API timeout')), 25000)
-          );
-          const result = await Promise.race([notionPromise, notionTimeout]);
-          console.log(`✅ Notion logging completed: ${result.processed} processed, ${result.skipped} skipped`);
-        }
+    const event = req.headers['x-github-event'] || 'push';
+    // Hand-crafted requests (curl, tests) may lack the header — journal them under a fresh id
+    const deliveryId = req.headers['x-github-delivery'] || crypto.randomUUID();
 
-        // Legacy frozen heatmap — all valid commits, unfiltered (pre-G1 behavior)
-        if (allCommits.length > 0) {
-          const heatmapCommits = allCommits.map((c) => ({
-            id: c.sha,
-            message: c.message,
-            timestamp: c.committedAt,
-            url: c.url
-          }));
-          const updatePromise = updateCommitLog(heatmapCommits, project.name);
-          const updateTimeout = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Commit log update timeout')), 10000)
-          );
-          await Promise.race([updatePromise, updateTimeout]);
-        }
+    const existing = getWebhookDelivery(deliveryId);
+    if (existing && SETTLED_STATUSES.includes(existing.status)) {
+      console.log(`↪️ Delivery ${deliveryId} already ${existing.status} — skipping`);
+      return res.status(200).json({ accepted: false, duplicate: true, delivery: deliveryId, status: existing.status });
+    }
 
-        console.log('✅ Webhook background processing completed successfully');
-      } catch (error) {
-        console.error('❌ Error in webhook background processing:', error);
-      }
+    recordWebhookDelivery({
+      id: deliveryId,
+      event,
+      repo,
+      body: req.rawBody || Buffer.from(JSON.stringify(payload))
     });
+    // Persisted before the 202, so a restart between accept and processing loses nothing
+    const job = enqueueDelivery(getWebhookDelivery(deliveryId));
+
+    res.status(202).json({ accepted: true, delivery: deliveryId, job: job.id, commits: (payload.commits || []).length, repo });
   } catch (error) {
     console.error('❌ Error processing webhook:', error);
     if (!res.headersSent) {
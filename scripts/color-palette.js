@@ -42,6 +42,9 @@ const COLOR_PALETTE_CONFIG = {
   fallbackLightness: 50
 };
 
+// Projects without a `category` in config/projects.json
+const DEFAULT_CATEGORY = 'Miscellaneous / Standalone';
+
 // Storage for generated color palettes
 let colorPalettes = {};
 let projectColors = {};
@@ -133,7 +136,7 @@ function hslToHex(h, s, l) {
  */
 function generatePalette(projectType) {
   if (!projectType) {
-    projectType = 'Miscellaneous / Standalone';
+    projectType = DEFAULT_CATEGORY;
   }
   
   // Check if palette already exists
@@ -192,11 +195,11 @@ function generatePalette(projectType) {
  */
 function assignColor(projectType, projectName = null) {
   if (!projectType) {
-    projectType = 'Miscellaneous / Standalone';
+    projectType = DEFAULT_CATEGORY;
   }
   
-  // Check if project already has a color assigned
-  if (projectName && projectColors[projectName]) {
+  // Keep an existing assignment unless the project moved to another category's band
+  if (projectName && projectColors[projectName]?.category === projectType) {
     return projectColors[projectName];
   }
   
@@ -256,6 +259,22 @@ function updateProjectColor(projectName, projectType) {
   return newColor;
 }
 
+/**
+ * Match heatmap colors to project categories from config/projects.json.
+ * Called on startup and whenever the config is reloaded; returns how many projects got a new color
+ */
+function syncProjectColors(projects) {
+  let changed = 0;
+  projects.forEach(project => {
+    const category = project.category || DEFAULT_CATEGORY;
+    if (projectColors[project.name]?.category !== category) {
+      assignColor(category, project.name);
+      changed++;
+    }
+  });
+  return changed;
+}
+
 /**
  * Get all color palettes
  */
@@ -309,9 +328,12 @@ function migrateExistingProjects(projects = null) {
           });
         });
         
+        // Heatmap entries are keyed by project name — take the category from the matching config entry
+        const { loadProjectsConfig } = require('../db/projects-config');
+        const categories = new Map(loadProjectsConfig().map(entry => [entry.name, entry.category]));
         projects = Array.from(projectSet).map(name => ({
           name: name,
-          category: 'Miscellaneous / Standalone' // Default category
+          category: categories.get(name) || DEFAULT_CATEGORY
         }));
         
         console.log(`📖 Loaded ${projects.length} projects from commit log`);
@@ -425,6 +447,7 @@ module.exports = {
   assignColor,
   getProjectColor,
   updateProjectColor,
+  syncProjectColors,
   getAllPalettes,
   getAllProjectColors,
   clearColorData,
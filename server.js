@@ -43,9 +43,34 @@ app.use((req, res, next) => {
   next();
 });
 
-const { initDb, seedProjectsFromConfig, closeDb, getDbPath } = require('./db/store');
+const {
+  initDb,
+  seedProjectsFromConfig,
+  seedAuthorsFromConfig,
+  seedIgnoredReposFromConfig,
+  closeDb,
+  getDbPath
+} = require('./db/store');
+const { loadProjectsConfig, watchProjectsConfig, unwatchProjectsConfig } = require('./db/projects-config');
+const { loadIgnoredRepos } = require('./db/ignored-repos');
+const { syncProjectColors } = require('./scripts/color-palette');
+
+// Heatmap colors follow each project's category. The ignore list is re-checked against every
+// config, so a hand edit adding an ignored repo starts ingesting it without a restart
+function applyProjectsConfig(config) {
+  seedProjectsFromConfig(config);
+  seedIgnoredReposFromConfig(loadIgnoredRepos(), config);
+  syncProjectColors(config);
+}
+
 initDb();
-seedProjectsFromConfig();
+applyProjectsConfig(loadProjectsConfig());
+seedAuthorsFromConfig();
+
+watchProjectsConfig(applyProjectsConfig);
+
+const { startQueue, drainQueue } = require('./ingest/queue');
+startQueue();
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', version: SERVICE_VERSION });
@@ -94,7 +119,11 @@ server.headersTimeout = 66000;
 
 function shutdown(signal) {
   console.log(`🛑 Received ${signal}, shutting down gracefully...`);
-  server.close(() => {
+  // Stop claiming jobs now; in-flight ones finish before the DB closes
+  unwatchProjectsConfig();
+  const drained = drainQueue();
+  server.close(async () => {
+    await drained;
     closeDb();
     process.exit(0);
   });
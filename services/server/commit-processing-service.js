@@ -74,7 +74,7 @@ async function updateCommitLog(newCommits, repoName, broadcastEvent) {
     // Write updated commit log
     fs.writeFileSync(commitLogPath, JSON.stringify(commitLog, null, 2));
     console.log(`✅ Updated commit log with ${newCommits.length} new commits from ${repoName}`);
-    broadcastEvent('commit-log-updated', { source: 'webhook', updatedDays: Object.keys(commitsByDate).length });
+    if (broadcastEvent) broadcastEvent('commit-log-updated', { source: 'webhook', updatedDays: Object.keys(commitsByDate).length });
     
   } catch (error) {
     console.error('❌ Error updating commit log:', error);
@@ -6,7 +6,32 @@ function asyncHandler(fn) {
   };
 }
 
+// Bearer auth for /api when GITHUB_LOGGER_TOKEN is set; open otherwise (local-only default)
+function requireLoggerAuth(req, res, next) {
+  const expected = process.env.GITHUB_LOGGER_TOKEN;
+  if (!expected) {
+    return next();
+  }
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (token !== expected) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// /api/admin rewrites config files and replays deliveries, so unlike the read API it is never open:
+// without GITHUB_LOGGER_TOKEN it is disabled
+function requireAdminAuth(req, res, next) {
+  if (!process.env.GITHUB_LOGGER_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled — set GITHUB_LOGGER_TOKEN to enable it' });
+  }
+  requireLoggerAuth(req, res, next);
+}
+
 module.exports = {
   asyncHandler,
+  requireLoggerAuth,
+  requireAdminAuth,
   ...commitProcessingService
 };
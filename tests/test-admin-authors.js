@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-admin-authors-'));
+const configPath = path.join(dataDir, 'authors.json');
+fs.copyFileSync(path.join(__dirname, '../config/authors.json'), configPath);
+process.env.DATA_DIR = dataDir;
+process.env.AUTHORS_CONFIG = configPath;
+process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+
+const store = require('../db/store');
+const apiAdminRoutes = require('../routes/api-admin');
+
+const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+function commit(sha, author, authorEmail) {
+  return { sha: sha.repeat(40), message: 'feat: author admin', author, authorEmail, committedAt: '2026-07-01T12:00:00.000Z', url: null };
+}
+
+describe('author admin API', () => {
+  let app;
+  const authorNamed = (name) => store.listAuthors().find((author) => author.name === name);
+
+  beforeAll(() => {
+    store.initDb();
+    store.seedProjectsFromConfig();
+    store.seedAuthorsFromConfig();
+    store.insertCommits([
+      commit('1', 'Sam Lee', 'sam@example.com'),
+      commit('2', 'sam-laptop', 'sam@laptop.local'),
+      commit('3', 'S. Lee', 'slee@work.example')
+    ], 'devra', { repo: 'FallingWithStyle/Devra' });
+
+    app = express();
+    // Requests in this suite are the authenticated admin unless they set their own header
+    app.use((req, res, next) => {
+      req.headers.authorization = req.headers.authorization || 'Bearer test-token';
+      next();
+    });
+    app.use(express.json());
+    app.use('/api/admin', apiAdminRoutes);
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('adds an identity to the config and relinks its commits', async () => {
+    const before = fs.readFileSync(configPath, 'utf8');
+    await request(app).post('/api/admin/authors').send({ emails: ['x@example.com'] }).expect(400);
+    await request(app).post('/api/admin/authors').send({ name: 'Sam Lee', emails: 'sam@example.com' }).expect(400);
+
+    const res = await request(app)
+      .post('/api/admin/authors')
+      .send({ name: 'Sam Lee', emails: ['sam@example.com', 'sam@laptop.local'] })
+      .expect(201);
+
+    expect(res.body.author).toMatchObject({ name: 'Sam Lee', commitCount: 2 });
+    expect(readConfig().find((entry) => entry.name === 'Sam Lee')).toEqual({
+      name: 'Sam Lee', emails: ['sam@example.com', 'sam@laptop.local'], names: [], logins: []
+    });
+    expect(fs.readFileSync(`${configPath}.bak`, 'utf8')).toBe(before);
+    expect(authorNamed('sam-laptop')).toBeUndefined();
+  });
+
+  it('adds aliases on PATCH, and replaces them with replace=true', async () => {
+    const sam = authorNamed('Sam Lee');
+    await request(app).patch('/api/admin/authors/99999').send({ name: 'Nobody' }).expect(404);
+
+    const added = await request(app).patch(`/api/admin/authors/${sam.id}`).send({ logins: ['samlee'] }).expect(200);
+    expect(added.body.author).toMatchObject({ emails: ['sam@example.com', 'sam@laptop.local'], logins: ['samlee'] });
+
+    const replaced = await request(app)
+      .patch(`/api/admin/authors/${sam.id}?replace=true`)
+      .send({ emails: ['sam@example.com'], names: ['Sam Lee'] })
+      .expect(200);
+
+    expect(replaced.body.author).toMatchObject({
+      id: sam.id, emails: ['sam@example.com'], names: ['Sam Lee'], logins: ['samlee'], commitCount: 1
+    });
+    expect(readConfig().find((entry) => entry.name === 'Sam Lee')).toEqual({
+      name: 'Sam Lee', emails: ['sam@example.com'], names: ['Sam Lee'], logins: ['samlee']
+    });
+    // The laptop commit no longer matches Sam and resolves to an identity of its own again
+    expect(authorNamed('sam-laptop')).toMatchObject({ emails: ['sam@laptop.local'], commitCount: 1 });
+  });
+
+  it('merges authors into one config entry', async () => {
+    const sam = authorNamed('Sam Lee');
+    const work = authorNamed('S. Lee');
+
+    await request(app).post(`/api/admin/authors/${sam.id}/merge`).send({ from: [99999] }).expect(400);
+    const res = await request(app).post(`/api/admin/authors/${sam.id}/merge`).send({ from: [work.id] }).expect(200);
+
+    expect(res.body.author).toMatchObject({ name: 'Sam Lee', commitCount: 2 });
+    expect(res.body.author.emails).toEqual(['sam@example.com', 'slee@work.example']);
+    expect(res.body.author.names).toEqual(expect.arrayContaining(['Sam Lee', 'S. Lee']));
+    expect(store.getAuthorById(work.id)).toBeNull();
+    expect(readConfig().filter((entry) => entry.name === 'Sam Lee')).toHaveLength(1);
+  });
+});
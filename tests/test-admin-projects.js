@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-admin-projects-'));
+const configPath = path.join(dataDir, 'projects.json');
+fs.copyFileSync(path.join(__dirname, '../config/projects.json'), configPath);
+process.env.DATA_DIR = dataDir;
+process.env.PROJECTS_CONFIG = configPath;
+process.env.IGNORED_REPOS_CONFIG = path.join(dataDir, 'ignored-repos.json');
+fs.copyFileSync(path.join(__dirname, '../data/ignored-repos.json'), process.env.IGNORED_REPOS_CONFIG);
+process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+
+const store = require('../db/store');
+const apiAdminRoutes = require('../routes/api-admin');
+const { processDelivery } = require('../ingest/webhook');
+
+const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+function recordPush(id, repo, sha, { branch = 'main', repoId = 4242 } = {}) {
+  const payload = {
+    ref: `refs/heads/${branch}`,
+    after: sha,
+    repository: { id: repoId, full_name: repo },
+    commits: [{
+      id: sha,
+      message: `feat: ${id}`,
+      timestamp: '2026-07-02T12:00:00Z',
+      url: `https://github.com/${repo}/commit/${sha}`,
+      author: { name: 'Patrick', email: 'pat@example.com' }
+    }]
+  };
+  store.recordWebhookDelivery({ id, event: 'push', repo, body: Buffer.from(JSON.stringify(payload)) });
+  return processDelivery(id);
+}
+
+describe('project admin API', () => {
+  let app;
+
+  beforeAll(() => {
+    store.initDb();
+    store.seedProjectsFromConfig();
+    app = express();
+    // Requests in this suite are the authenticated admin unless they set their own header
+    app.use((req, res, next) => {
+      req.headers.authorization = req.headers.authorization || 'Bearer test-token';
+      next();
+    });
+    app.use(express.json());
+    app.use('/api/admin', apiAdminRoutes);
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('refuses admin writes without the token, and when no token is configured', async () => {
+    const before = fs.readFileSync(configPath, 'utf8');
+    const bare = express();
+    bare.use(express.json());
+    bare.use('/api/admin', apiAdminRoutes);
+
+    await request(bare).post('/api/admin/projects').send({ id: 'x', name: 'X', repo: 'a/x' }).expect(401);
+    await request(bare).post('/api/admin/projects').set('Authorization', 'Bearer wrong').send({ id: 'x', name: 'X', repo: 'a/x' }).expect(401);
+
+    delete process.env.GITHUB_LOGGER_TOKEN;
+    try {
+      const res = await request(app).post('/api/admin/projects').send({ id: 'x', name: 'X', repo: 'a/x' }).expect(503);
+      expect(res.body.error).toMatch(/disabled/);
+      await request(app).delete('/api/admin/projects/devra').expect(503);
+    } finally {
+      process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+    }
+    expect(fs.readFileSync(configPath, 'utf8')).toBe(before);
+  });
+
+  it('adds a project to the config file and seeds it immediately', async () => {
+    const res = await request(app)
+      .post('/api/admin/projects')
+      .send({ id: 'glyph', name: 'Glyph', repo: 'FallingWithStyle/glyph-server', category: 'Infrastructure & Utilities', extra: 1 })
+      .expect(201);
+
+    expect(res.body.project).toEqual({
+      id: 'glyph', name: 'Glyph', repo: 'FallingWithStyle/glyph-server', category: 'Infrastructure & Utilities'
+    });
+    expect(readConfig().find((entry) => entry.id === 'glyph')).toEqual(res.body.project);
+    expect(fs.existsSync(`${configPath}.bak`)).toBe(true);
+    expect(fs.existsSync(`${configPath}.tmp`)).toBe(false);
+    expect(store.getProjectByRepo('FallingWithStyle/glyph-server')).toMatchObject({ id: 'glyph', status: 'active' });
+  });
+
+  it('rejects invalid projects without touching the file', async () => {
+    const before = fs.readFileSync(configPath, 'utf8');
+    await request(app).post('/api/admin/projects').send({ id: 'x', name: 'X', repo: 'not-a-repo' }).expect(400);
+    await request(app).post('/api/admin/projects').send({ id: 'devra', name: 'Devra 2', repo: 'a/b' }).expect(400);
+    await request(app).post('/api/admin/projects').send([]).expect(400);
+    expect(fs.readFileSync(configPath, 'utf8')).toBe(before);
+  });
+
+  it('patches fields and clears them with null', async () => {
+    await request(app).patch('/api/admin/projects/glyph').send({ name: 'Glyph Server', tags: ['api'] }).expect(200);
+    const res = await request(app).patch('/api/admin/projects/glyph').send({ category: null }).expect(200);
+
+    expect(res.body.project).toEqual({ id: 'glyph', name: 'Glyph Server', repo: 'FallingWithStyle/glyph-server', tags: ['api'] });
+    expect(store.getProjectById('glyph')).toMatchObject({ name: 'Glyph Server', category: null, tags: '["api"]' });
+    await request(app).patch('/api/admin/projects/nope').send({ name: 'Nope' }).expect(404);
+  });
+
+  it('refuses an id change that would orphan commits unless migrate=true', async () => {
+    store.insertCommits([{
+      sha: 'a'.repeat(40), message: 'feat: glyph', author: 'Patrick', committedAt: '2026-06-27T12:00:00.000Z', url: null
+    }], 'glyph', { repo: 'FallingWithStyle/glyph-server' });
+
+    const refused = await request(app).patch('/api/admin/projects/glyph').send({ id: 'glyph-server' }).expect(400);
+    expect(refused.body.error).toMatch(/migrate=true/);
+    expect(readConfig().some((entry) => entry.id === 'glyph')).toBe(true);
+
+    const res = await request(app).patch('/api/admin/projects/glyph?migrate=true').send({ id: 'glyph-server' }).expect(200);
+    expect(res.body).toMatchObject({ renamedFrom: 'glyph', movedCommits: 1 });
+    expect(store.getProjectById('glyph')).toBeUndefined();
+    expect(store.countProjectCommits('glyph-server')).toBe(1);
+    expect(store.getProjectByRepo('FallingWithStyle/glyph-server').id).toBe('glyph-server');
+  });
+
+  it('archives a deleted project and keeps its commits', async () => {
+    await request(app).delete('/api/admin/projects/glyph-server').expect(200);
+    expect(readConfig().some((entry) => entry.id === 'glyph-server')).toBe(false);
+    expect(store.getProjectById('glyph-server')).toMatchObject({ status: 'archived' });
+    expect(store.countProjectCommits('glyph-server')).toBe(1);
+    await request(app).delete('/api/admin/projects/glyph-server').expect(404);
+  });
+
+  it('holds pushes from unknown repos and replays them when the repo is approved', async () => {
+    expect((await recordPush('new-1', 'FallingWithStyle/Lantern', 'c'.repeat(40))).status).toBe('pending');
+    expect((await recordPush('new-2', 'FallingWithStyle/Lantern', 'd'.repeat(40), { branch: 'dev' })).status).toBe('pending');
+    expect(store.getProjectByRepo('FallingWithStyle/Lantern')).toBeUndefined();
+
+    const list = await request(app).get('/api/admin/pending-repos').expect(200);
+    expect(list.body.repos).toEqual([expect.objectContaining({
+      repo: 'FallingWithStyle/Lantern', githubRepoId: 4242, pushCount: 2, commitCount: 2, branches: ['main', 'dev']
+    })]);
+    expect(list.body.repos[0].firstSeenAt <= list.body.repos[0].lastSeenAt).toBe(true);
+
+    await request(app).post('/api/admin/pending-repos/FallingWithStyle/Nope/approve').send({}).expect(404);
+    const res = await request(app)
+      .post('/api/admin/pending-repos/fallingwithstyle/lantern/approve')
+      .send({ name: 'Lantern', category: 'Writing & Story Tools' })
+      .expect(200);
+
+    expect(res.body.project).toEqual({
+      id: 'lantern', name: 'Lantern', category: 'Writing & Story Tools', repo: 'FallingWithStyle/Lantern'
+    });
+    expect(res.body.replayed).toEqual({ total: 2, processed: 2, skipped: 0, pending: 0, failed: 0 });
+    expect(readConfig().find((entry) => entry.id === 'lantern')).toEqual(res.body.project);
+    expect(store.getProjectCommits('lantern', null, 10).map((c) => c.sha).sort()).toEqual(['c'.repeat(40), 'd'.repeat(40)]);
+    expect(store.listPendingRepos()).toEqual([]);
+
+    // Held pushes get their first full ingest, side outputs included
+    const commitLog = JSON.parse(fs.readFileSync(path.join(dataDir, 'commit-log.json'), 'utf8'));
+    expect(commitLog.some((day) => day.projects.Lantern > 0)).toBe(true);
+  });
+
+  it('maps a pending repo onto an existing project, or discards it', async () => {
+    await recordPush('new-3', 'FallingWithStyle/lantern-docs', 'e'.repeat(40), { repoId: 4343 });
+    const res = await request(app)
+      .post('/api/admin/pending-repos/FallingWithStyle/lantern-docs/approve')
+      .send({ id: 'lantern' })
+      .expect(200);
+    expect(res.body.project.repos).toEqual(['FallingWithStyle/lantern-docs']);
+    expect(store.getProjectByRepo('FallingWithStyle/lantern-docs').id).toBe('lantern');
+    expect(store.countProjectCommits('lantern')).toBe(3);
+
+    await recordPush('new-4', 'Someone/spam', 'f'.repeat(40), { repoId: 4444 });
+    const discarded = await request(app).delete('/api/admin/pending-repos/Someone/spam').expect(200);
+    expect(discarded.body.discarded).toBe(1);
+    expect(store.getWebhookDelivery('new-4').status).toBe('skipped');
+    await request(app).delete('/api/admin/pending-repos/Someone/spam').expect(404);
+  });
+
+  it('ignores and unignores repos, discarding their pending pushes', async () => {
+    store.seedIgnoredReposFromConfig();
+    expect(store.getIgnoredRepo('AnyOwner/Glyph-Legal')).toMatchObject({ name: 'glyph-legal', reason: 'User ignored' });
+    expect(store.getIgnoredRepo('FallingWithStyle/glyph-server')).toBeNull();
+
+    await recordPush('new-5', 'Spammer/junk', '5'.repeat(40), { repoId: 4545 });
+    const res = await request(app).post('/api/admin/ignored-repos').send({ name: 'junk', reason: 'Noise' }).expect(201);
+    expect(res.body).toMatchObject({ ignored: { name: 'junk', reason: 'Noise' }, discardedPending: 1 });
+    expect(store.listPendingRepos()).toEqual([]);
+    expect(store.getWebhookDelivery('new-5').status).toBe('skipped');
+    expect(JSON.parse(fs.readFileSync(process.env.IGNORED_REPOS_CONFIG, 'utf8')).map((e) => e.name)).toContain('junk');
+
+    // A replay of a journaled push from an ignored repo is not held again
+    expect((await processDelivery('new-5')).status).toBe('skipped');
+    expect(store.listPendingRepos()).toEqual([]);
+
+    const tracked = await request(app).post('/api/admin/ignored-repos').send({ name: 'FallingWithStyle/Devra' }).expect(400);
+    expect(tracked.body.error).toMatch(/project "devra"/);
+    await request(app).post('/api/admin/ignored-repos').send({ reason: 'x' }).expect(400);
+
+    await request(app).delete('/api/admin/ignored-repos/junk').expect(200);
+    await request(app).delete('/api/admin/ignored-repos/junk').expect(404);
+    expect(store.getIgnoredRepo('Spammer/junk')).toBeNull();
+    const list = await request(app).get('/api/admin/ignored-repos').expect(200);
+    expect(list.body.repos).toHaveLength(10);
+  });
+
+  it('does not seed a hand-edited ignore entry that names a configured repo', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    store.seedIgnoredReposFromConfig([
+      { name: 'devra', ignoredAt: null, reason: 'Hand edit' },
+      { name: 'junk', ignoredAt: null, reason: 'Noise' }
+    ]);
+
+    expect(store.getIgnoredRepo('FallingWithStyle/Devra')).toBeNull();
+    expect(store.getIgnoredRepo('Spammer/junk')).toMatchObject({ name: 'junk' });
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/"devra" is a repo of project "devra"/));
+
+    warn.mockRestore();
+    store.seedIgnoredReposFromConfig();
+  });
+
+  it('stops ignoring a repo as soon as a project claims it', async () => {
+    expect(store.getIgnoredRepo('FallingWithStyle/terrain')).toMatchObject({ name: 'terrain' });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await request(app).post('/api/admin/projects').send({ id: 'terrain', name: 'Terrain', repo: 'FallingWithStyle/terrain' }).expect(201);
+
+    expect(store.getIgnoredRepo('FallingWithStyle/terrain')).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/"terrain" is a repo of project "terrain"/));
+    expect((await recordPush('terrain-1', 'FallingWithStyle/terrain', '6'.repeat(40), { repoId: 4646 })).status).toBe('processed');
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,497 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-api-'));
+process.env.DATA_DIR = dataDir;
+process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+
+const store = require('../db/store');
+const apiDevraRoutes = require('../routes/api-devra');
+const apiAdminRoutes = require('../routes/api-admin');
+
+function buildApp() {
+  const app = express();
+  // Requests in this suite are the authenticated admin unless they set their own header
+  app.use((req, res, next) => {
+    req.headers.authorization = req.headers.authorization || 'Bearer test-token';
+    next();
+  });
+  app.use(express.json());
+  app.use('/api/admin', apiAdminRoutes);
+  app.use('/api', apiDevraRoutes);
+  return app;
+}
+
+function commit(sha, overrides = {}) {
+  return {
+    sha: sha.repeat(40).slice(0, 40),
+    message: 'feat: add something meaningful',
+    author: 'Patrick',
+    committedAt: '2026-06-27T12:00:00.000Z',
+    url: null,
+    files: [],
+    ...overrides
+  };
+}
+
+describe('Devra read API', () => {
+  let app;
+
+  beforeAll(() => {
+    store.initDb();
+    store.seedProjectsFromConfig();
+    store.insertCommits([
+      commit('a', {
+        files: [
+          { path: 'db/store.js', status: 'modified', additions: 10, deletions: 2 },
+          { path: 'README.md', status: 'modified', additions: 1, deletions: 1 }
+        ]
+      }),
+      commit('b', {
+        committedAt: '2026-06-28T09:00:00.000Z',
+        files: [{ path: 'db/store.js', status: 'modified', additions: 5, deletions: 0 }]
+      })
+    ], 'devra', { branch: 'main' });
+    store.insertCommits([
+      commit('c', {
+        committedAt: '2026-06-29T09:00:00.000Z',
+        author: 'patrick@laptop',
+        authorEmail: 'pat@example.com'
+      }),
+      commit('d', {
+        committedAt: '2026-06-29T10:00:00.000Z',
+        author: 'P. Laptop',
+        authorEmail: 'pat@example.com',
+        message: 'chore: unrelated devra tweak',
+        trailers: [{ key: 'Co-authored-by', value: 'Claude <noreply@anthropic.com>', kind: 'ai_assist' }]
+      })
+    ], 'devra', { branch: 'feature/search' });
+    store.seedAuthorsFromConfig();
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('reports line totals on /api/activity', async () => {
+    const res = await request(app)
+      .get('/api/activity?since=2026-06-01T00:00:00Z&until=2026-06-30T23:59:59Z')
+      .expect(200);
+
+    const devra = res.body.projects.find((p) => p.id === 'devra');
+    expect(devra).toMatchObject({
+      commitCount: 4,
+      additions: 16,
+      deletions: 3,
+      pairAuthoredCount: 0,
+      aiAssistedCount: 1
+    });
+  });
+
+  it('filters activity and commits by branch', async () => {
+    const activity = await request(app)
+      .get('/api/activity?since=2026-06-01T00:00:00Z&until=2026-06-30T23:59:59Z&branch=feature/search')
+      .expect(200);
+    expect(activity.body.projects.find((p) => p.id === 'devra').commitCount).toBe(2);
+
+    const commits = await request(app).get('/api/projects/devra/commits?branch=main').expect(200);
+    expect(commits.body.commits).toHaveLength(2);
+    expect(commits.body.commits[0].branches).toEqual(['main']);
+    expect(commits.body.commits[0].trailers).toEqual([]);
+  });
+
+  it('resolves author aliases to one canonical identity', async () => {
+    const res = await request(app).get('/api/projects/devra/commits').expect(200);
+    const authorIds = new Set(res.body.commits.map((c) => c.authorId));
+
+    // "Patrick", "patrick@laptop" (config aliases) and "P. Laptop" (same email) are one person
+    expect(authorIds.size).toBe(1);
+    expect(res.body.commits.every((c) => c.author === 'Patrick')).toBe(true);
+
+    const authors = await request(app).get('/api/admin/authors').expect(200);
+    const patrick = authors.body.authors.find((a) => a.name === 'Patrick');
+    expect(patrick.commitCount).toBe(4);
+    expect(patrick.emails).toEqual(['pat@example.com']);
+  });
+
+  it('excludes force-push tombstones unless includeRewritten=true', async () => {
+    const window = 'since=2026-06-29T00:00:00Z&until=2026-06-29T23:59:59Z';
+    store.insertCommits([commit('9', { committedAt: '2026-06-29T11:00:00.000Z' })], 'devra', { branch: 'feature/search' });
+    store.markCommitsRewritten(['9'.repeat(40)], { branch: 'feature/search', replacedBy: 'f00d' });
+
+    const live = await request(app).get(`/api/activity?${window}`).expect(200);
+    expect(live.body.projects.find((p) => p.id === 'devra').commitCount).toBe(2);
+
+    const all = await request(app).get(`/api/activity?${window}&includeRewritten=true`).expect(200);
+    expect(all.body.projects.find((p) => p.id === 'devra').commitCount).toBe(3);
+
+    // Re-pushing the orphaned SHA revives it
+    store.insertCommits([commit('9', { committedAt: '2026-06-29T11:00:00.000Z' })], 'devra', { branch: 'feature/search' });
+    const revived = await request(app).get(`/api/activity?${window}`).expect(200);
+    expect(revived.body.projects.find((p) => p.id === 'devra').commitCount).toBe(3);
+  });
+
+  it('stores insignificant commits but hides them unless include=all', async () => {
+    store.insertCommits([
+      commit('7', { message: 'wip', significant: false, significanceReason: 'too-short' })
+    ], 'devra');
+
+    const visible = await request(app).get('/api/projects/devra/commits?limit=500').expect(200);
+    expect(visible.body.commits.some((c) => c.sha === '7'.repeat(40))).toBe(false);
+
+    const all = await request(app).get('/api/projects/devra/commits?include=all&limit=500').expect(200);
+    expect(all.body.commits.find((c) => c.sha === '7'.repeat(40))).toMatchObject({
+      significant: false,
+      significanceReason: 'too-short'
+    });
+  });
+
+  it('archives projects dropped from config and filters /api/projects by status', async () => {
+    const config = store.loadProjectsConfig();
+    store.seedProjectsFromConfig(config.filter((p) => p.id !== 'magic-quill'));
+
+    const active = await request(app).get('/api/projects').expect(200);
+    expect(active.body.projects.some((p) => p.id === 'magic-quill')).toBe(false);
+
+    const archived = await request(app).get('/api/projects?status=archived').expect(200);
+    expect(archived.body.projects.map((p) => p.id)).toEqual(['magic-quill']);
+    expect(archived.body.projects[0].archivedAt).toBeTruthy();
+    expect(store.getProjectByRepo('FallingWithStyle/Magic-Quill')).toBeUndefined();
+
+    store.seedProjectsFromConfig(config);
+    const all = await request(app).get('/api/projects?status=all').expect(200);
+    expect(all.body.projects.find((p) => p.id === 'magic-quill')).toMatchObject({ status: 'active', archivedAt: null });
+
+    await request(app).get('/api/projects?status=deleted').expect(400);
+  });
+
+  it('searches commit messages with filters and highlighted snippets', async () => {
+    const res = await request(app)
+      .get('/api/search')
+      .query({ q: 'project:devra author:patrick after:2026-06-28 unrelated' })
+      .expect(200);
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.results[0]).toMatchObject({ sha: 'd'.repeat(40), projectId: 'devra', author: 'Patrick' });
+    expect(res.body.results[0].snippet).toContain('<mark>unrelated</mark>');
+  });
+
+  it('keeps the search index in sync with new commits', async () => {
+    store.insertCommits([commit('e', { message: 'feat: sqlite migration runner' })], 'devra');
+
+    const res = await request(app).get('/api/search?q="migration runner"').expect(200);
+    expect(res.body.results.map((r) => r.sha)).toEqual(['e'.repeat(40)]);
+  });
+
+  it('leaves force-push tombstones out of search unless includeRewritten=true', async () => {
+    store.insertCommits([commit('e7', { message: 'feat: tombstoned draft of the exporter' })], 'devra', { branch: 'feature/export' });
+    store.markCommitsRewritten(['e7'.repeat(20)], { branch: 'feature/export', replacedBy: 'beef' });
+
+    const live = await request(app).get('/api/search?q=exporter').expect(200);
+    expect(live.body.results.map((r) => r.sha)).not.toContain('e7'.repeat(20));
+
+    const all = await request(app).get('/api/search?q=exporter&includeRewritten=true').expect(200);
+    expect(all.body.results.map((r) => r.sha)).toContain('e7'.repeat(20));
+  });
+
+  it('rejects an empty or malformed search', async () => {
+    await request(app).get('/api/search').expect(400);
+    await request(app).get('/api/search?q=after:soon').expect(400);
+  });
+
+  it('ranks file hotspots by commit count', async () => {
+    const res = await request(app).get('/api/projects/devra/files/hotspots').expect(200);
+
+    expect(res.body.files[0]).toMatchObject({ path: 'db/store.js', commitCount: 2, additions: 15 });
+    expect(res.body.files[1]).toMatchObject({ path: 'README.md', commitCount: 1 });
+  });
+
+  it('returns 404 for hotspots on an unknown project', async () => {
+    await request(app).get('/api/projects/nope/files/hotspots').expect(404);
+  });
+
+  it('rejects a malformed since on /api/activity', async () => {
+    await request(app).get('/api/activity?since=yesterday&until=2026-06-30T00:00:00Z').expect(400);
+  });
+
+  it('aggregates a multi-repo project with an optional per-repo breakdown', async () => {
+    const config = store.loadProjectsConfig().map((p) => (
+      p.id === 'devra' ? { ...p, repos: ['FallingWithStyle/devra-server'] } : p
+    ));
+    store.seedProjectsFromConfig(config);
+    expect(store.getProjectByRepo('fallingwithstyle/devra-server').id).toBe('devra');
+
+    const august = { committedAt: '2026-08-01T12:00:00.000Z' };
+    store.insertCommits([commit('1', august)], 'devra', { repo: 'FallingWithStyle/Devra' });
+    store.insertCommits([commit('2', august), commit('3', august)], 'devra', { repo: 'FallingWithStyle/devra-server' });
+
+    const window = 'since=2026-08-01T00:00:00Z&until=2026-08-31T23:59:59Z';
+    const plain = await request(app).get(`/api/activity?${window}`).expect(200);
+    expect(plain.body.projects).toHaveLength(1);
+    expect(plain.body.projects[0]).toMatchObject({ id: 'devra', commitCount: 3 });
+    expect(plain.body.projects[0].repos).toBeUndefined();
+
+    const split = await request(app).get(`/api/activity?${window}&breakdown=repo`).expect(200);
+    expect(split.body.projects[0].repos.map((r) => [r.repo, r.commitCount])).toEqual([
+      ['FallingWithStyle/devra-server', 2],
+      ['FallingWithStyle/Devra', 1]
+    ]);
+
+    const projects = await request(app).get('/api/projects').expect(200);
+    const devra = projects.body.projects.find((p) => p.id === 'devra');
+    expect(devra.repo).toBe('FallingWithStyle/Devra');
+    expect(devra.repos.map((r) => r.repo)).toEqual(['FallingWithStyle/Devra', 'FallingWithStyle/devra-server']);
+
+    await request(app).get(`/api/activity?${window}&breakdown=author`).expect(400);
+  });
+
+  it('counts a SHA shared by a fork once per project', async () => {
+    const config = store.loadProjectsConfig().map((p) => (
+      p.id === 'devra' ? { ...p, repos: ['FallingWithStyle/devra-server'] } : p
+    ));
+    store.seedProjectsFromConfig([...config, { id: 'devra-fork', name: 'Devra Fork', repo: 'someone/Devra' }]);
+
+    const september = { committedAt: '2026-09-01T12:00:00.000Z' };
+    expect(store.insertCommits([commit('4', september)], 'devra', { branch: 'main', repo: 'FallingWithStyle/Devra' }))
+      .toEqual({ inserted: 1, linked: 0, skipped: 0 });
+    expect(store.insertCommits([commit('4', september)], 'devra', { branch: 'main', repo: 'FallingWithStyle/devra-server' }))
+      .toEqual({ inserted: 0, linked: 1, skipped: 0 });
+    expect(store.insertCommits([commit('4', september)], 'devra-fork', { branch: 'main', repo: 'someone/Devra' }))
+      .toEqual({ inserted: 0, linked: 1, skipped: 0 });
+    expect(store.insertCommits([commit('4', september)], 'devra-fork', { branch: 'main', repo: 'someone/Devra' }))
+      .toEqual({ inserted: 0, linked: 0, skipped: 1 });
+
+    const window = 'since=2026-09-01T00:00:00Z&until=2026-09-30T23:59:59Z';
+    const res = await request(app).get(`/api/activity?${window}&breakdown=repo`).expect(200);
+    const byId = Object.fromEntries(res.body.projects.map((p) => [p.id, p]));
+    expect(byId.devra.commitCount).toBe(1);
+    expect(byId.devra.repos.map((r) => [r.repo, r.commitCount])).toEqual([
+      ['FallingWithStyle/Devra', 1],
+      ['FallingWithStyle/devra-server', 1]
+    ]);
+    expect(byId['devra-fork']).toMatchObject({ commitCount: 1, repos: [{ repo: 'someone/Devra', commitCount: 1 }] });
+
+    const commits = await request(app).get('/api/projects/devra-fork/commits').expect(200);
+    expect(commits.body.commits[0]).toMatchObject({ repo: 'someone/Devra', repos: ['someone/Devra'] });
+    expect(store.getMostRecentCommitAt('devra-fork', 'someone/Devra')).toEqual(new Date(september.committedAt));
+
+    // The fork rewriting its main branch must not tombstone upstream's copy
+    expect(store.markCommitsRewritten(['4'.repeat(40)], { branch: 'main', replacedBy: 'f00d', repo: 'someone/Devra' })).toBe(0);
+  });
+
+  it('filters by category and tag and rolls activity up per category', async () => {
+    const config = store.loadProjectsConfig().map((p) => (
+      p.id === 'devra' ? { ...p, category: 'Infrastructure & Utilities', tags: ['api', 'sqlite'] } : p
+    ));
+    store.seedProjectsFromConfig(config);
+
+    const october = { committedAt: '2026-10-01T12:00:00.000Z' };
+    store.insertCommits([commit('5', october)], 'devra');
+    store.insertCommits([commit('6', october)], 'github-notion-logger');
+    store.insertCommits([commit('f', { ...october, projectIds: ['devra', 'github-notion-logger'] })], 'devra');
+    store.insertCommits([commit('8', october)], 'magic-quill');
+
+    const projects = await request(app).get('/api/projects?category=infrastructure%20%26%20utilities').expect(200);
+    expect(projects.body.projects.map((p) => p.id)).toEqual(['devra', 'github-notion-logger']);
+    expect(projects.body.projects[0]).toMatchObject({ category: 'Infrastructure & Utilities', tags: ['api', 'sqlite'] });
+
+    const tagged = await request(app).get('/api/projects?tag=API').expect(200);
+    expect(tagged.body.projects.map((p) => p.id)).toEqual(['devra']);
+
+    const window = 'since=2026-10-01T00:00:00Z&until=2026-10-31T23:59:59Z';
+    const activity = await request(app).get(`/api/activity?${window}&category=Writing%20%26%20Story%20Tools`).expect(200);
+    expect(activity.body.projects.map((p) => [p.id, p.commitCount])).toEqual([['magic-quill', 1]]);
+
+    const rollup = await request(app).get(`/api/categories/activity?${window}`).expect(200);
+    expect(rollup.body.categories).toEqual([
+      expect.objectContaining({
+        category: 'Infrastructure & Utilities',
+        projects: ['devra', 'github-notion-logger'],
+        projectCount: 2,
+        commitCount: 3
+      }),
+      expect.objectContaining({ category: 'Writing & Story Tools', projects: ['magic-quill'], commitCount: 1 })
+    ]);
+
+    const byTag = await request(app).get(`/api/categories/activity?${window}&tag=sqlite`).expect(200);
+    expect(byTag.body.categories.map((c) => [c.category, c.commitCount])).toEqual([['Infrastructure & Utilities', 2]]);
+
+    await request(app).get('/api/categories/activity?since=2026-10-01T00:00:00Z').expect(400);
+  });
+
+  it('buckets daily activity by local day with the cutoff and zero-fills empty days', async () => {
+    // 03:00 in New York, before the 06:00 cutoff — counts for the day before
+    store.insertCommits([commit('0', { committedAt: '2026-11-02T08:00:00.000Z' })], 'kitch');
+    store.insertCommits([commit('a1', { committedAt: '2026-11-03T15:00:00.000Z', projectIds: ['devra', 'kitch'] })], 'devra');
+
+    const res = await request(app).get('/api/activity/daily?from=2026-11-01&to=2026-11-04').expect(200);
+    expect(res.body).toMatchObject({ from: '2026-11-01', to: '2026-11-04', timezone: 'America/New_York', cutoff: '06:00' });
+    expect(res.body.projects).toEqual([
+      { id: 'kitch', name: 'Kitch', commitCount: 2 },
+      { id: 'devra', name: 'Devra', commitCount: 1 }
+    ]);
+    expect(res.body.days).toEqual([
+      { date: '2026-11-01', commitCount: 1, projects: { kitch: 1, devra: 0 } },
+      { date: '2026-11-02', commitCount: 0, projects: { kitch: 0, devra: 0 } },
+      { date: '2026-11-03', commitCount: 1, projects: { kitch: 1, devra: 1 } },
+      { date: '2026-11-04', commitCount: 0, projects: { kitch: 0, devra: 0 } }
+    ]);
+
+    const one = await request(app).get('/api/activity/daily?from=2026-11-01&to=2026-11-02&project=devra').expect(200);
+    expect(one.body.projects).toEqual([{ id: 'devra', name: 'Devra', commitCount: 0 }]);
+    expect(one.body.days.map((d) => d.projects)).toEqual([{ devra: 0 }, { devra: 0 }]);
+
+    const recent = await request(app).get('/api/activity/daily?days=7').expect(200);
+    expect(recent.body.days).toHaveLength(7);
+    expect(recent.body.days[6].date).toBe(recent.body.to);
+
+    await request(app).get('/api/activity/daily?from=2026-11-01&to=2026-11-04&project=nope').expect(404);
+    await request(app).get('/api/activity/daily?days=0').expect(400);
+    await request(app).get('/api/activity/daily?from=2026-11-04&to=2026-11-01').expect(400);
+    await request(app).get('/api/activity/daily?from=2026-11-01').expect(400);
+
+    const rolledOver = await request(app).get('/api/activity/daily?from=2026-02-31&to=2026-03-02').expect(400);
+    expect(rolledOver.body.error).toMatch(/from must be a YYYY-MM-DD date/);
+    await request(app).get('/api/activity/daily?from=2026-02-27&to=2026-02-29').expect(400);
+    await request(app).get('/api/activity/daily?days=2.5').expect(400);
+    await request(app).get('/api/activity/daily?days=7days').expect(400);
+  });
+
+  it('summarizes a project window against the window before it', async () => {
+    const hoursAgo = (h) => new Date(Date.now() - h * 3600000).toISOString();
+    const lines = (additions, deletions) => [{ path: 'src/app.js', status: 'modified', additions, deletions }];
+    const [first, last] = [hoursAgo(61), hoursAgo(1)];
+    store.insertCommits([
+      commit('b1', { message: 'feat(api): add summary endpoint', committedAt: first, files: lines(50, 5) }),
+      commit('b2', { message: 'chore: bump dependencies', author: 'Someone Else', committedAt: hoursAgo(31), files: lines(200, 100) }),
+      commit('b3', { message: 'fix: handle an empty window\n\nDetails', committedAt: last, files: lines(3, 1) }),
+      commit('b4', { message: 'docs: explain the summary', committedAt: hoursAgo(8 * 24) })
+    ], 'audventr');
+
+    const res = await request(app).get('/api/projects/audventr/summary').expect(200);
+    expect(res.body).toMatchObject({
+      projectId: 'audventr',
+      days: 7,
+      commitCount: 3,
+      activeDays: 3,
+      firstCommitAt: first,
+      lastCommitAt: last,
+      additions: 253,
+      deletions: 106,
+      previous: { commitCount: 1, activeDays: 1, until: res.body.since },
+      change: { commitCount: 2, activeDays: 2 }
+    });
+    expect(res.body.topAuthors).toEqual([
+      expect.objectContaining({ name: 'Patrick', commitCount: 2 }),
+      expect.objectContaining({ name: 'Someone Else', commitCount: 1 })
+    ]);
+    expect(res.body.workTypes).toEqual([
+      { type: 'chore', commitCount: 1 },
+      { type: 'feat', commitCount: 1 },
+      { type: 'fix', commitCount: 1 }
+    ]);
+    expect(res.body.notableCommits.map((c) => [c.subject, c.type])).toEqual([
+      ['feat(api): add summary endpoint', 'feat'],
+      ['fix: handle an empty window', 'fix'],
+      ['chore: bump dependencies', 'chore']
+    ]);
+
+    const fortnight = await request(app).get('/api/projects/audventr/summary?days=14').expect(200);
+    expect(fortnight.body).toMatchObject({ commitCount: 4, previous: { commitCount: 0, firstCommitAt: null } });
+
+    await request(app).get('/api/projects/nope/summary').expect(404);
+    await request(app).get('/api/projects/audventr/summary?days=0').expect(400);
+  });
+
+  it('pages project commits with an opaque cursor and filters by window, author and text', async () => {
+    store.insertCommits([
+      commit('c1', { message: 'feat: first page item', committedAt: '2026-12-01T10:00:00.000Z' }),
+      commit('c2', { message: 'fix: Parser edge case', author: 'Someone Else', committedAt: '2026-12-02T10:00:00.000Z' }),
+      commit('c3', { message: 'feat: parser rewrite', committedAt: '2026-12-02T10:00:00.000Z' }),
+      commit('c4', { message: 'docs: parser notes', author: 'patrick@laptop', committedAt: '2026-12-03T10:00:00.000Z' }),
+      commit('c5', { message: 'feat: outside the window', committedAt: '2026-12-20T10:00:00.000Z' })
+    ], 'kitch');
+    const shas = (res) => res.body.commits.map((c) => c.sha.slice(0, 2));
+    const base = '/api/projects/kitch/commits?since=2026-12-01T00:00:00Z&until=2026-12-10T00:00:00Z';
+
+    const first = await request(app).get(`${base}&limit=2`).expect(200);
+    expect(shas(first)).toEqual(['c4', 'c3']);
+    expect(typeof first.body.nextCursor).toBe('string');
+    const second = await request(app).get(`${base}&limit=2&cursor=${first.body.nextCursor}`).expect(200);
+    expect(shas(second)).toEqual(['c2', 'c1']);
+    expect(second.body.nextCursor).toBeNull();
+
+    const asc = await request(app).get(`${base}&limit=3&order=asc`).expect(200);
+    expect(shas(asc)).toEqual(['c1', 'c2', 'c3']);
+    const rest = await request(app).get(`${base}&limit=3&order=asc&cursor=${asc.body.nextCursor}`).expect(200);
+    expect(shas(rest)).toEqual(['c4']);
+
+    const byAuthor = await request(app).get(`${base}&author=PATRICK`).expect(200);
+    expect(shas(byAuthor)).toEqual(['c4', 'c3', 'c1']);
+    const byText = await request(app).get(`${base}&q=parser`).expect(200);
+    expect(shas(byText)).toEqual(['c4', 'c3', 'c2']);
+
+    await request(app).get(`${base}&order=asc&cursor=${first.body.nextCursor}`).expect(400);
+    await request(app).get(`${base}&cursor=not-a-cursor`).expect(400);
+    await request(app).get(`${base}&order=sideways`).expect(400);
+    await request(app).get('/api/projects/kitch/commits?since=2026-12-10T00:00:00Z&until=2026-12-01T00:00:00Z').expect(400);
+  });
+
+  it('merges commits across projects into one paged timeline', async () => {
+    store.insertCommits([
+      commit('abcd0', { message: 'feat: afternoon work', committedAt: '2026-12-02T15:00:00.000Z' }),
+      commit('abcd1', {
+        message: 'fix: shared afternoon fix',
+        author: 'Someone Else',
+        committedAt: '2026-12-02T16:00:00.000Z',
+        projectIds: ['devra', 'magic-quill'],
+        files: [{ path: 'src/fix.js', status: 'modified', additions: 4, deletions: 2 }]
+      })
+    ], 'devra');
+    const shas = (res) => res.body.commits.map((c) => c.sha.slice(0, 5));
+
+    const afternoon = await request(app).get('/api/commits?since=2026-12-02T12:00:00Z&until=2026-12-02T18:00:00Z').expect(200);
+    expect(shas(afternoon)).toEqual(['abcd1', 'abcd0']);
+    expect(afternoon.body.commits[0]).toMatchObject({ projectId: 'devra', projects: ['devra', 'magic-quill'] });
+    expect(afternoon.body.nextCursor).toBeNull();
+
+    const december = '/api/commits?since=2026-12-01T00:00:00Z&until=2026-12-10T00:00:00Z';
+    const first = await request(app).get(`${december}&project=kitch,magic-quill&limit=3`).expect(200);
+    expect(shas(first)).toEqual(['c4c4c', 'abcd1', 'c3c3c']);
+    const second = await request(app).get(`${december}&project=kitch&project=magic-quill&limit=3&cursor=${first.body.nextCursor}`).expect(200);
+    expect(shas(second)).toEqual(['c2c2c', 'c1c1c']);
+    expect(second.body.nextCursor).toBeNull();
+
+    const byAuthor = await request(app).get(`${december}&author=someone%20else`).expect(200);
+    expect(shas(byAuthor)).toEqual(['abcd1', 'c2c2c']);
+    await request(app).get(`${december}&project=nope`).expect(404);
+  });
+
+  it('looks up one commit by full SHA or unique prefix', async () => {
+    const full = 'abcd1'.repeat(8);
+    const res = await request(app).get(`/api/commits/${full.toUpperCase()}`).expect(200);
+    expect(res.body.commit).toMatchObject({
+      sha: full,
+      message: 'fix: shared afternoon fix',
+      author: 'Someone Else',
+      project: { id: 'devra', name: 'Devra' },
+      projects: [expect.objectContaining({ id: 'devra' }), expect.objectContaining({ id: 'magic-quill' })],
+      files: [{ path: 'src/fix.js', status: 'modified', additions: 4, deletions: 2 }],
+      additions: 4,
+      deletions: 2
+    });
+
+    const prefix = await request(app).get('/api/commits/abcd0').expect(200);
+    expect(prefix.body.commit.sha).toBe('abcd0'.repeat(8));
+
+    const ambiguous = await request(app).get('/api/commits/abcd').expect(400);
+    expect(ambiguous.body.error).toMatch(/ambiguous/);
+    await request(app).get('/api/commits/0123').expect(404);
+    await request(app).get('/api/commits/xyz').expect(400);
+  });
+});
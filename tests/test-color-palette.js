@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-colors-'));
+process.env.DATA_DIR = dataDir;
+
+const { syncProjectColors, getProjectColor } = require('../scripts/color-palette');
+
+describe('color-palette', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('colors heatmap projects from their category and follows category changes', () => {
+    expect(syncProjectColors([
+      { name: 'Magic-Quill', category: 'Writing & Story Tools' },
+      { name: 'Kitch' }
+    ])).toBe(2);
+    expect(getProjectColor('Magic-Quill')).toMatchObject({ category: 'Writing & Story Tools' });
+    expect(getProjectColor('Kitch')).toMatchObject({ category: 'Miscellaneous / Standalone' });
+
+    const quill = getProjectColor('Magic-Quill').hex;
+    expect(syncProjectColors([{ name: 'Magic-Quill', category: 'Writing & Story Tools' }])).toBe(0);
+    expect(getProjectColor('Magic-Quill').hex).toBe(quill);
+
+    expect(syncProjectColors([{ name: 'Magic-Quill', category: 'Tools' }])).toBe(1);
+    expect(getProjectColor('Magic-Quill')).toMatchObject({ category: 'Tools' });
+    expect(fs.existsSync(path.join(dataDir, 'color-palettes.json'))).toBe(true);
+  });
+});
@@ -1,4 +1,13 @@
-const { parseWebhookCommits, isSignificantCommit } = require('../ingest/commit-parser');
+const {
+  branchFromRef,
+  classifyCommit,
+  parseWebhookCommits,
+  isSignificantCommit,
+  normalizeWebhookCommit,
+  normalizeCommitFiles,
+  parseTrailers,
+  workTypeOf
+} = require('../ingest/commit-parser');
 
 describe('commit-parser', () => {
   const validCommit = (id, message) => ({
@@ -8,27 +17,33 @@ describe('commit-parser', () => {
     author: { name: 'Patrick' }
   });
 
-  it('filters insignificant commits for SQLite but keeps them in allCommits for heatmap', () => {
-    const { commits, allCommits } = parseWebhookCommits([
+  it('keeps insignificant commits but flags them with a reason', () => {
+    const { commits, filtered } = parseWebhookCommits([
       validCommit('a'.repeat(40), 'fix typo'),
       validCommit('b'.repeat(40), 'feat: add sqlite ingest layer')
     ]);
 
-    expect(commits).toHaveLength(1);
-    expect(commits[0].message).toBe('feat: add sqlite ingest layer');
-    expect(allCommits).toHaveLength(2);
+    expect(commits).toHaveLength(2);
+    expect(filtered).toBe(1);
+    expect(commits[0]).toMatchObject({ significant: false, significanceReason: 'pattern:^fix typo' });
+    expect(commits[1]).toMatchObject({ significant: true, significanceReason: 'conventional' });
   });
 
-  it('drops commits missing sha or timestamp from both arrays', () => {
-    const { commits, allCommits } = parseWebhookCommits([
+  it('drops commits missing sha or timestamp', () => {
+    const { commits } = parseWebhookCommits([
       { message: 'no id', timestamp: '2026-06-27T12:00:00Z' },
       validCommit('c'.repeat(40), 'feat: valid commit row')
     ]);
 
-    expect(allCommits).toHaveLength(1);
     expect(commits).toHaveLength(1);
   });
 
+  it('explains why a commit is insignificant', () => {
+    expect(classifyCommit('')).toEqual({ significant: false, reason: 'empty-message' });
+    expect(classifyCommit('wip stuff')).toEqual({ significant: false, reason: 'too-short' });
+    expect(classifyCommit('Add webhook delivery journal')).toEqual({ significant: true, reason: 'default' });
+  });
+
   it('recognizes common insignificant patterns', () => {
     expect(isSignificantCommit('fix typo')).toBe(false);
     expect(isSignificantCommit('feat: meaningful change here')).toBe(true);
@@ -38,4 +53,85 @@ describe('commit-parser', () => {
     expect(isSignificantCommit('fix: auth')).toBe(true);
     expect(isSignificantCommit('Merge pull request #1 from org/branch')).toBe(true);
   });
+
+  it('skips commits GitHub marks as not distinct to this push', () => {
+    const { commits, indistinct } = parseWebhookCommits([
+      { ...validCommit('e'.repeat(40), 'feat: already on main'), distinct: false },
+      { ...validCommit('f'.repeat(40), 'feat: new on this branch'), distinct: true }
+    ]);
+
+    expect(commits.map((c) => c.sha)).toEqual(['f'.repeat(40)]);
+    expect(indistinct).toEqual(['e'.repeat(40)]);
+  });
+
+  it('extracts branch names from push refs', () => {
+    expect(branchFromRef('refs/heads/main')).toBe('main');
+    expect(branchFromRef('refs/heads/feature/auth')).toBe('feature/auth');
+    expect(branchFromRef('refs/tags/v1.0.0')).toBeNull();
+    expect(branchFromRef(undefined)).toBeNull();
+  });
+
+  it('parses trailers from the last paragraph of the message', () => {
+    const trailers = parseTrailers([
+      'feat: pair on the webhook journal',
+      '',
+      'Longer explanation of the change.',
+      '',
+      'Co-authored-by: Sam Rivera <sam@example.com>',
+      'Signed-off-by: Patrick <patrick@example.com>',
+      'Reviewed-by: Alex <alex@example.com>',
+      'Co-authored-by: Claude <noreply@anthropic.com>'
+    ].join('\n'));
+
+    expect(trailers.map((t) => t.kind)).toEqual(['co_author', 'signoff', 'reviewer', 'ai_assist']);
+    expect(trailers[0]).toMatchObject({ key: 'Co-authored-by', name: 'Sam Rivera', email: 'sam@example.com' });
+  });
+
+  it('recognizes assistants by address or bot login, not by a shared first name', () => {
+    const kinds = parseTrailers([
+      'feat: pair with assistants and people',
+      '',
+      'Co-authored-by: Copilot <175728472+Copilot@users.noreply.github.com>',
+      'Co-authored-by: devin-ai-integration[bot] <158243242+devin-ai-integration[bot]@users.noreply.github.com>',
+      'Co-authored-by: Cursor Agent <cursoragent@cursor.com>',
+      'Co-authored-by: Devin Park <devin.park@example.com>',
+      'Co-authored-by: Claude Monet <claude@example.org>',
+      'Co-authored-by: dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>'
+    ].join('\n')).map((t) => t.kind);
+
+    expect(kinds).toEqual(['ai_assist', 'ai_assist', 'ai_assist', 'co_author', 'co_author', 'co_author']);
+  });
+
+  it('ignores a final paragraph that is not a trailer block', () => {
+    expect(parseTrailers('feat: subject only')).toEqual([]);
+    expect(parseTrailers('fix: thing\n\nNote: this is prose\nand keeps going')).toEqual([]);
+  });
+
+  it('collects changed paths from webhook added/modified/removed lists', () => {
+    const commit = normalizeWebhookCommit({
+      ...validCommit('d'.repeat(40), 'feat: touch some files'),
+      added: ['src/new.js'],
+      modified: ['README.md'],
+      removed: ['old.txt']
+    });
+
+    expect(commit.files).toEqual([
+      { path: 'src/new.js', status: 'added', additions: null, deletions: null },
+      { path: 'README.md', status: 'modified', additions: null, deletions: null },
+      { path: 'old.txt', status: 'removed', additions: null, deletions: null }
+    ]);
+  });
+
+  it('keeps line counts from GitHub API commit detail', () => {
+    expect(normalizeCommitFiles({
+      files: [{ filename: 'db/store.js', status: 'modified', additions: 12, deletions: 3 }]
+    })).toEqual([{ path: 'db/store.js', status: 'modified', additions: 12, deletions: 3 }]);
+  });
+
+  it('reads the work type from a conventional prefix', () => {
+    expect(workTypeOf('feat(api): add summary')).toBe('feat');
+    expect(workTypeOf('Fix: crash on empty window\n\nbody')).toBe('fix');
+    expect(workTypeOf('Add a summary endpoint')).toBe('other');
+    expect(workTypeOf(null)).toBe('other');
+  });
 });
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-queue-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.GITHUB_TOKEN;
+
+const store = require('../db/store');
+const { startQueue, drainQueue, enqueueDelivery, retryDelay } = require('../ingest/queue');
+
+function pushBody(sha) {
+  return Buffer.from(JSON.stringify({
+    ref: 'refs/heads/main',
+    after: sha,
+    repository: { full_name: 'FallingWithStyle/Devra' },
+    commits: [{ id: sha, message: 'feat: queue the ingest work', timestamp: '2026-07-02T12:00:00Z' }]
+  }));
+}
+
+function journal(id, body) {
+  store.recordWebhookDelivery({ id, event: 'push', repo: 'FallingWithStyle/Devra', body });
+  return store.getWebhookDelivery(id);
+}
+
+async function waitForJob(id, status) {
+  for (let i = 0; i < 100; i++) {
+    const job = store.getIngestJob(id);
+    if (job.status === status) return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} never reached ${status}`);
+}
+
+describe('ingest queue', () => {
+  beforeAll(() => {
+    store.initDb();
+    store.seedProjectsFromConfig();
+  });
+
+  afterEach(async () => {
+    await drainQueue();
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('recovers jobs left running by a crash and runs them on start', async () => {
+    const sha = '4'.repeat(40);
+    const job = store.enqueueIngestJob({ deliveryId: journal('crashed', pushBody(sha)).id, queue: 'devra', maxAttempts: 3 });
+    store.claimIngestJob('devra');
+    expect(store.getIngestJob(job.id).status).toBe('running');
+
+    startQueue({ pollMs: 20 });
+    const done = await waitForJob(job.id, 'done');
+    expect(done.attempts).toBe(2);
+    expect(store.getProjectCommits('devra', null, 10).map((c) => c.sha)).toContain(sha);
+  });
+
+  it('queues per project and does not duplicate an open job for the same delivery', async () => {
+    const delivery = journal('queued-twice', pushBody('5'.repeat(40)));
+    const first = store.enqueueIngestJob({ deliveryId: delivery.id, queue: 'devra', maxAttempts: 3 });
+    const second = store.enqueueIngestJob({ deliveryId: delivery.id, queue: 'devra', maxAttempts: 3 });
+    expect(second.id).toBe(first.id);
+    expect(store.listReadyIngestQueues()).toEqual(['devra']);
+
+    startQueue({ pollMs: 20 });
+    await waitForJob(first.id, 'done');
+  });
+
+  it('retries with backoff and dead-letters after max attempts', async () => {
+    startQueue({ pollMs: 10, maxAttempts: 2, retryBaseMs: 10 });
+    const job = enqueueDelivery(journal('broken', Buffer.from('{not json')));
+
+    const dead = await waitForJob(job.id, 'dead');
+    expect(dead.attempts).toBe(2);
+    expect(dead.lastError).toMatch(/JSON/);
+    expect(store.getWebhookDelivery('broken').status).toBe('failed');
+    expect(store.listIngestJobs({ status: 'dead' }).counts.dead).toBe(1);
+
+    expect(store.requeueIngestJob(job.id)).toBe(true);
+    expect(store.getIngestJob(job.id)).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+
+  it('doubles the retry delay up to the cap', () => {
+    startQueue({ retryBaseMs: 1000, retryMaxMs: 5000 });
+    expect([1, 2, 3, 4].map(retryDelay)).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
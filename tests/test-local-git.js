@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-local-git-'));
+const root = path.join(dataDir, 'Dev');
+const configPath = path.join(dataDir, 'projects.json');
+fs.writeFileSync(configPath, JSON.stringify([
+  { id: 'devra', name: 'Devra', repo: 'FallingWithStyle/Devra', workspacePath: 'Devra' },
+  { id: 'notes', name: 'Notes', workspacePath: 'notes' }
+]));
+process.env.DATA_DIR = dataDir;
+process.env.PROJECTS_CONFIG = configPath;
+process.env.DEVRA_PROJECTS_ROOT = root;
+
+const store = require('../db/store');
+const { runLocalIngest, parseGitLog } = require('../ingest/local-git');
+
+function git(folder, ...args) {
+  return execFileSync('git', ['-C', path.join(root, folder), ...args], {
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Patrick',
+      GIT_AUTHOR_EMAIL: 'pat@example.com',
+      GIT_COMMITTER_NAME: 'Patrick',
+      GIT_COMMITTER_EMAIL: 'pat@example.com'
+    }
+  });
+}
+
+function commitFile(folder, file, content, message) {
+  fs.mkdirSync(path.dirname(path.join(root, folder, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, folder, file), content);
+  git(folder, 'add', '-A');
+  git(folder, 'commit', '-q', '-m', message);
+  return git(folder, 'rev-parse', 'HEAD').trim();
+}
+
+describe('local git ingest', () => {
+  beforeAll(() => {
+    for (const folder of ['Devra', 'notes']) {
+      fs.mkdirSync(path.join(root, folder), { recursive: true });
+      git(folder, 'init', '-q', '-b', 'main');
+    }
+    git('Devra', 'remote', 'add', 'origin', 'git@github.com:FallingWithStyle/Devra.git');
+    store.initDb();
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('parses git log output with file stats', () => {
+    const raw = parseGitLog(
+      '\x1eabc\x1fPat\x1fpat@example.com\x1f2026-06-27T12:00:00+02:00\x1ffeat: thing\n\nBody\n\x1f\n\n'
+      + ':000000 100644 0000000 1111111 A\tsrc/new.js\n:100644 100644 2222222 3333333 M\tlogo.png\n\n'
+      + '3\t0\tsrc/new.js\n-\t-\tlogo.png\n',
+      { repo: 'a/b' }
+    );
+    expect(raw).toEqual([{
+      id: 'abc',
+      message: 'feat: thing\n\nBody\n',
+      url: 'https://github.com/a/b/commit/abc',
+      author: { name: 'Pat', email: 'pat@example.com' },
+      timestamp: '2026-06-27T12:00:00+02:00',
+      files: [
+        { filename: 'src/new.js', status: 'added', additions: 3, deletions: 0 },
+        { filename: 'logo.png', status: 'modified', additions: null, deletions: null }
+      ]
+    }]);
+  });
+
+  it('ingests mapped workspaces, including ones with no GitHub remote, and dedups by SHA', async () => {
+    const first = commitFile('Devra', 'db/store.js', 'a\nb\n', 'feat: local store');
+    commitFile('notes', 'ideas.md', '# Ideas\n', 'docs: first ideas list');
+
+    const result = await runLocalIngest({ months: 1, sinceLast: false });
+    expect(result.totals).toMatchObject({ inserted: 2, skipped: 0 });
+    expect(result.failures).toBe(0);
+
+    const [commit] = store.getProjectCommits('devra', null, 10);
+    expect(commit).toMatchObject({
+      sha: first,
+      repo: 'FallingWithStyle/Devra',
+      branches: ['main'],
+      url: `https://github.com/FallingWithStyle/Devra/commit/${first}`
+    });
+    expect(store.getFileHotspots('devra', null, 10)).toEqual([
+      expect.objectContaining({ path: 'db/store.js', additions: 2, deletions: 0 })
+    ]);
+    expect(store.getProjectCommits('notes', null, 10)).toEqual([expect.objectContaining({ repo: null, url: null })]);
+
+    const again = await runLocalIngest({ months: 1, sinceLast: false });
+    expect(again.totals).toMatchObject({ inserted: 0, skipped: 2 });
+  });
+
+  it('reads only newer commits with --since-last', async () => {
+    // Committed a few seconds after the stored ones, so --since-last picks it up
+    const later = new Date(Date.now() + 5000).toISOString();
+    process.env.GIT_AUTHOR_DATE = later;
+    process.env.GIT_COMMITTER_DATE = later;
+    try {
+      commitFile('Devra', 'README.md', 'hello\n', 'docs: describe local ingest');
+    } finally {
+      delete process.env.GIT_AUTHOR_DATE;
+      delete process.env.GIT_COMMITTER_DATE;
+    }
+
+    const result = await runLocalIngest({ months: 1, sinceLast: true, projectId: 'devra' });
+    expect(result.totals).toMatchObject({ read: 1, inserted: 1, skipped: 0 });
+  });
+});
@@ -0,0 +1,32 @@
+const { routeCommit } = require('../ingest/path-routing');
+
+const routes = [
+  { projectId: 'mono', paths: null },
+  { projectId: 'web', paths: ['apps/web'] },
+  { projectId: 'api', paths: ['apps/api', 'packages/shared'] }
+];
+const files = (...paths) => paths.map((path) => ({ path }));
+
+describe('path-routing', () => {
+  it('attributes a commit to every project whose prefixes it touches', () => {
+    expect(routeCommit(files('apps/web/index.js', 'packages/shared/util.js'), routes)).toEqual(['web', 'api']);
+  });
+
+  it('adds the fallback project when any path falls outside the prefixes', () => {
+    expect(routeCommit(files('apps/web/index.js', 'README.md'), routes)).toEqual(['mono', 'web']);
+    expect(routeCommit(files('docs/guide.md'), routes)).toEqual(['mono']);
+  });
+
+  it('uses the fallback when the file list is unknown', () => {
+    expect(routeCommit([], routes)).toEqual(['mono']);
+  });
+
+  it('matches whole directory names only', () => {
+    expect(routeCommit(files('apps/webhooks/handler.js'), routes)).toEqual(['mono']);
+    expect(routeCommit(files('apps/web'), routes)).toEqual(['web']);
+  });
+
+  it('sends everything to the single project of an unsplit repo', () => {
+    expect(routeCommit(files('src/a.js'), [{ projectId: 'devra', paths: null }])).toEqual(['devra']);
+  });
+});
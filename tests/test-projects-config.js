@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateProjectsConfig, projectRepos, projectTags, watchProjectsConfig, unwatchProjectsConfig } = require('../db/projects-config');
+
+const devra = { id: 'devra', name: 'Devra', repo: 'FallingWithStyle/Devra', workspacePath: 'Devra' };
+
+describe('projects-config', () => {
+  it('accepts the checked-in config', () => {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/projects.json'), 'utf8'));
+    expect(() => validateProjectsConfig(config)).not.toThrow();
+  });
+
+  it('rejects missing fields, malformed repos and duplicates', () => {
+    expect(() => validateProjectsConfig({})).toThrow(/JSON array/);
+    expect(() => validateProjectsConfig([{ id: 'x', name: 'X' }])).toThrow(/"repo", non-empty "repos", or a "workspacePath"/);
+    expect(() => validateProjectsConfig([{ id: 'x', name: 'X', workspacePath: 'Scratch' }])).not.toThrow();
+    expect(() => validateProjectsConfig([{ id: 'x', name: 'X', repos: 'a/b' }])).toThrow(/"repos" items must be/);
+    expect(() => validateProjectsConfig([devra, { id: 'x', name: 'X', repos: ['a/b', 'FallingWithStyle/Devra'] }]))
+      .toThrow(/listed more than once/);
+    expect(() => validateProjectsConfig([{ ...devra, repo: 'Devra' }])).toThrow(/owner\/name/);
+    expect(() => validateProjectsConfig([devra, { ...devra, repo: 'a/b' }])).toThrow(/id "devra"/);
+    expect(() => validateProjectsConfig([devra, { ...devra, id: 'other', repo: 'fallingwithstyle/devra' }]))
+      .toThrow(/listed more than once/);
+  });
+
+  it('combines repo and repos in order without duplicates', () => {
+    const repos = (entry) => projectRepos(entry).map((link) => link.repo);
+    expect(repos({ repo: 'a/app', repos: ['a/server', 'A/App', 'a/docs'] })).toEqual(['a/app', 'a/server', 'a/docs']);
+    expect(repos({ repos: ['a/server'] })).toEqual(['a/server']);
+  });
+
+  it('accepts path-scoped monorepo entries only alongside a fallback', () => {
+    const web = { id: 'web', name: 'Web', repos: [{ repo: 'a/mono', paths: ['./apps/web/'] }] };
+    expect(projectRepos(web)).toEqual([{ repo: 'a/mono', paths: ['apps/web'] }]);
+
+    expect(() => validateProjectsConfig([web])).toThrow(/no entry lists it without paths/);
+    expect(() => validateProjectsConfig([web, { id: 'mono', name: 'Mono', repo: 'a/mono' }])).not.toThrow();
+    expect(() => validateProjectsConfig([{ id: 'x', name: 'X', repos: [{ repo: 'a/mono', paths: [] }] }]))
+      .toThrow(/"repos" items must be/);
+  });
+
+  it('validates category and tags', () => {
+    expect(() => validateProjectsConfig([{ ...devra, category: 'Tools', tags: ['cli', 'sqlite'] }])).not.toThrow();
+    expect(() => validateProjectsConfig([{ ...devra, category: ' ' }])).toThrow(/"category" must be/);
+    expect(() => validateProjectsConfig([{ ...devra, tags: 'cli' }])).toThrow(/"tags" must be/);
+    expect(() => validateProjectsConfig([{ ...devra, tags: ['cli', 3] }])).toThrow(/"tags" must be/);
+    expect(projectTags({ tags: [' cli ', 'CLI', 'sqlite'] })).toEqual(['cli', 'sqlite']);
+    expect(projectTags(devra)).toEqual([]);
+  });
+
+  describe('watchProjectsConfig', () => {
+    let dir;
+    let configPath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-projects-'));
+      configPath = path.join(dir, 'projects.json');
+      fs.writeFileSync(configPath, JSON.stringify([devra]));
+    });
+
+    afterEach(() => {
+      unwatchProjectsConfig();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function callsAfterPoll(onChange) {
+      return new Promise((resolve) => setTimeout(resolve, 150)).then(() => onChange.mock.calls);
+    }
+
+    it('applies a valid edit and ignores a broken one', async () => {
+      const onChange = jest.fn();
+      watchProjectsConfig(onChange, { configPath, interval: 20 });
+
+      fs.writeFileSync(configPath, '[{"id": "devra",');
+      expect(await callsAfterPoll(onChange)).toHaveLength(0);
+
+      const magicQuill = { id: 'magic-quill', name: 'Magic-Quill', repo: 'FallingWithStyle/Magic-Quill' };
+      fs.writeFileSync(configPath, JSON.stringify([devra, magicQuill]));
+      const calls = await callsAfterPoll(onChange);
+      expect(calls).toHaveLength(1);
+      expect(calls[0][0].map((p) => p.id)).toEqual(['devra', 'magic-quill']);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { parseSearchQuery } = require('../db/search-query');
+
+describe('search-query', () => {
+  it('splits filters, phrases and free-text terms', () => {
+    const { query } = parseSearchQuery('project:devra author:patrick after:2026-06-01 "webhook secret" sqlite');
+
+    expect(query.projects).toEqual(['devra']);
+    expect(query.author).toBe('patrick');
+    expect(query.after).toBe('2026-06-01T00:00:00.000Z');
+    expect(query.match).toBe('"webhook secret" "sqlite"');
+  });
+
+  it('quotes user input so FTS5 operators are treated as text', () => {
+    const { query } = parseSearchQuery('NOT foo OR bar* fix: (x)');
+
+    expect(query.match).toBe('"NOT" "foo" "OR" "bar" "fix" "x"');
+  });
+
+  it('returns no match expression for filter-only queries', () => {
+    const { query } = parseSearchQuery('project:devra before:2026-07-01');
+    expect(query.match).toBeNull();
+  });
+
+  it('reports invalid dates', () => {
+    expect(parseSearchQuery('before:someday').error).toMatch(/Invalid before/);
+  });
+});
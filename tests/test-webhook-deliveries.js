@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-webhook-'));
+process.env.DATA_DIR = dataDir;
+process.env.GITHUB_WEBHOOK_SECRET = 'test-secret';
+process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+delete process.env.GITHUB_TOKEN;
+
+const store = require('../db/store');
+const webhookRoutes = require('../routes/webhook');
+const apiAdminRoutes = require('../routes/api-admin');
+const { startQueue, drainQueue } = require('../ingest/queue');
+const { processDelivery } = require('../ingest/webhook');
+
+function buildApp() {
+  const app = express();
+  // Requests in this suite are the authenticated admin unless they set their own header
+  app.use((req, res, next) => {
+    req.headers.authorization = req.headers.authorization || 'Bearer test-token';
+    next();
+  });
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/', webhookRoutes);
+  app.use('/api/admin', apiAdminRoutes);
+  return app;
+}
+
+function pushPayload(sha, message = 'feat: journal webhook deliveries') {
+  return {
+    ref: 'refs/heads/main',
+    after: sha,
+    repository: { full_name: 'FallingWithStyle/Devra' },
+    commits: [{
+      id: sha,
+      message,
+      timestamp: '2026-07-01T12:00:00Z',
+      url: `https://github.com/FallingWithStyle/Devra/commit/${sha}`,
+      author: { name: 'Patrick', email: 'pat@example.com' }
+    }]
+  };
+}
+
+function sign(body) {
+  return 'sha256=' + crypto.createHmac('sha256', 'test-secret').update(body).digest('hex');
+}
+
+function postDelivery(app, id, payload) {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post('/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-GitHub-Event', 'push')
+    .set('X-GitHub-Delivery', id)
+    .set('X-Hub-Signature-256', sign(body))
+    .send(body);
+}
+
+async function waitForStatus(id) {
+  for (let i = 0; i < 50; i++) {
+    const delivery = store.getWebhookDelivery(id);
+    if (delivery && !['received', 'processing'].includes(delivery.status)) {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery ${id} did not finish`);
+}
+
+describe('Webhook delivery journal', () => {
+  let app;
+
+  beforeAll(() => {
+    store.initDb();
+    store.seedProjectsFromConfig();
+    store.seedIgnoredReposFromConfig([{ name: 'FallingWithStyle/terrain', ignoredAt: null, reason: 'User ignored' }]);
+    startQueue({ pollMs: 20 });
+    app = buildApp();
+  });
+
+  afterAll(async () => {
+    await drainQueue();
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('journals a verified delivery and skips its redelivery', async () => {
+    const sha = '1'.repeat(40);
+    const payload = pushPayload(sha);
+
+    const first = await postDelivery(app, 'delivery-1', payload).expect(202);
+    expect(first.body.delivery).toBe('delivery-1');
+
+    const delivery = await waitForStatus('delivery-1');
+    expect(delivery).toMatchObject({ event: 'push', repo: 'FallingWithStyle/Devra', status: 'processed', attempts: 1 });
+    expect(store.loadWebhookDeliveryPayload('delivery-1')).toEqual(payload);
+    expect(store.getProjectCommits('devra', null, 10).map((c) => c.sha)).toContain(sha);
+
+    const again = await postDelivery(app, 'delivery-1', payload).expect(200);
+    expect(again.body).toMatchObject({ duplicate: true, status: 'processed' });
+    expect(store.getWebhookDelivery('delivery-1').attempts).toBe(1);
+  });
+
+  it('drops deliveries for ignored repos before journaling them', async () => {
+    const payload = { ...pushPayload('9'.repeat(40)), repository: { full_name: 'fallingwithstyle/Terrain' } };
+    const res = await postDelivery(app, 'delivery-ignored', payload).expect(200);
+    expect(res.body).toMatchObject({ accepted: false, ignored: true });
+    expect(store.getWebhookDelivery('delivery-ignored')).toBeNull();
+  });
+
+  it('rejects unsigned deliveries without journaling them', async () => {
+    await request(app)
+      .post('/webhook')
+      .set('X-GitHub-Delivery', 'delivery-unsigned')
+      .send(pushPayload('2'.repeat(40)))
+      .expect(401);
+    expect(store.getWebhookDelivery('delivery-unsigned')).toBeNull();
+  });
+
+  it('records failures and reprocesses a stored delivery on demand', async () => {
+    store.recordWebhookDelivery({ id: 'delivery-bad', event: 'push', repo: null, body: Buffer.from('{not json') });
+    const sha = '3'.repeat(40);
+    store.recordWebhookDelivery({
+      id: 'delivery-pending',
+      event: 'push',
+      repo: 'FallingWithStyle/Devra',
+      body: Buffer.from(JSON.stringify(pushPayload(sha)))
+    });
+
+    const all = await request(app).post('/api/admin/deliveries/reprocess').send({ status: 'received' }).expect(200);
+    expect(all.body).toEqual({ total: 2, processed: 1, skipped: 0, pending: 0, failed: 1 });
+
+    const failed = await request(app).get('/api/admin/deliveries?status=failed').expect(200);
+    expect(failed.body.deliveries.map((d) => d.id)).toEqual(['delivery-bad']);
+    expect(failed.body.deliveries[0].error).toMatch(/JSON/);
+
+    const one = await request(app).post('/api/admin/deliveries/delivery-pending/reprocess').expect(200);
+    expect(one.body.delivery).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(store.getProjectCommits('devra', null, 10).map((c) => c.sha)).toContain(sha);
+  });
+
+  it('refreshes the stored classification and trailers when a delivery is replayed', async () => {
+    const sha = '4'.repeat(40);
+    const message = 'feat: replay refreshes commits\n\nCo-authored-by: Sam Lee <sam@example.com>';
+    await postDelivery(app, 'delivery-refresh', pushPayload(sha, message)).expect(202);
+    await waitForStatus('delivery-refresh');
+
+    // Stand-in for rows written under older commit-parser rules
+    const database = store.initDb();
+    database.prepare("UPDATE commits SET significant = 0, significance_reason = 'stale rule' WHERE sha = ?").run(sha);
+    database.prepare("UPDATE commit_trailers SET kind = 'ai_assist' WHERE sha = ?").run(sha);
+    database.prepare(`
+      INSERT INTO commit_trailers (sha, position, key, value, kind) VALUES (?, 9, 'Signed-off-by', 'Gone <gone@example.com>', 'other')
+    `).run(sha);
+
+    await request(app).post('/api/admin/deliveries/delivery-refresh/reprocess').expect(200);
+
+    const commit = store.getProjectCommits('devra', null, 20).find((c) => c.sha === sha);
+    expect(commit).toMatchObject({ message, significant: true, significanceReason: 'conventional' });
+    expect(commit.trailers).toEqual([{ key: 'Co-authored-by', value: 'Sam Lee <sam@example.com>', kind: 'co_author' }]);
+  });
+
+  it('keeps a later force-push tombstone when an older delivery is replayed', async () => {
+    const token = process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_TOKEN;
+    const oldTip = '5'.repeat(40);
+    const newTip = '7'.repeat(40);
+
+    await postDelivery(app, 'delivery-old-tip', pushPayload(oldTip)).expect(202);
+    await waitForStatus('delivery-old-tip');
+    await postDelivery(app, 'delivery-forced', { ...pushPayload(newTip), before: oldTip, forced: true }).expect(202);
+    await waitForStatus('delivery-forced');
+    expect(store.getCommit(oldTip).rewrittenAt).toBeTruthy();
+
+    await request(app).post('/api/admin/deliveries/delivery-old-tip/reprocess').expect(200);
+    expect(store.getCommit(oldTip)).toMatchObject({ rewrittenAt: expect.any(String) });
+    expect(store.getProjectCommits('devra', null, 50).map((c) => c.sha)).not.toContain(oldTip);
+
+    if (token !== undefined) process.env.GITHUB_TOKEN = token;
+  });
+
+  it('lists ingest jobs and only retries dead ones', async () => {
+    const res = await request(app).get('/api/admin/jobs?status=done').expect(200);
+    expect(res.body.counts.done).toBeGreaterThanOrEqual(1);
+    const job = res.body.jobs.find((j) => j.deliveryId === 'delivery-1');
+    expect(job).toMatchObject({ queue: 'devra', attempts: 1 });
+
+    await request(app).post(`/api/admin/jobs/${job.id}/retry`).expect(400);
+    await request(app).post('/api/admin/jobs/99999/retry').expect(404);
+  });
+
+  it('follows repository renames and transfers by GitHub repo id', async () => {
+    const journal = (id, event, payload) => {
+      store.recordWebhookDelivery({ id, event, repo: payload.repository.full_name, body: Buffer.from(JSON.stringify(payload)) });
+      return processDelivery(id);
+    };
+    const push = (fullName, sha) => ({ ...pushPayload(sha), repository: { id: 4242, full_name: fullName } });
+
+    // First push links the project to its numeric id
+    await journal('cclive-push-1', 'push', push('FallingWithStyle/CCLIVE', '6'.repeat(40)));
+    expect(store.getProjectRepos('cclive')[0].githubRepoId).toBe(4242);
+
+    const renamed = await journal('cclive-renamed', 'repository', {
+      action: 'renamed',
+      changes: { repository: { name: { from: 'CCLIVE' } } },
+      repository: { id: 4242, name: 'cc-live', full_name: 'FallingWithStyle/cc-live', owner: { login: 'FallingWithStyle' } }
+    });
+    expect(renamed.status).toBe('processed');
+    expect(store.getProjectRepos('cclive')[0].repo).toBe('FallingWithStyle/cc-live');
+
+    // A push under a name we have never seen still resolves through the id
+    await journal('cclive-push-2', 'push', push('NewOrg/cc-live', '8'.repeat(40)));
+    expect(store.getProjectRepos('cclive')[0].repo).toBe('NewOrg/cc-live');
+    expect(store.getProjectCommits('cclive', null, 10).map((c) => c.repo).sort()).toEqual(['FallingWithStyle/CCLIVE', 'NewOrg/cc-live']);
+
+    // Re-seeding the unchanged config keeps GitHub's name
+    store.seedProjectsFromConfig();
+    expect(store.getProjectRepos('cclive')[0]).toMatchObject({ repo: 'NewOrg/cc-live', configRepo: 'FallingWithStyle/CCLIVE' });
+
+    await journal('cclive-archived', 'repository', {
+      action: 'archived',
+      repository: { id: 4242, name: 'cc-live', full_name: 'NewOrg/cc-live', owner: { login: 'NewOrg' } }
+    });
+    expect(store.getProjectRepos('cclive')[0].repoArchivedAt).toBeTruthy();
+  });
+
+  it('does not ingest a different repository that reuses a linked name', async () => {
+    const delivery = {
+      ...pushPayload('b'.repeat(40)),
+      repository: { id: 9999, full_name: 'NewOrg/cc-live' }
+    };
+    store.recordWebhookDelivery({ id: 'imposter', event: 'push', repo: 'NewOrg/cc-live', body: Buffer.from(JSON.stringify(delivery)) });
+    expect((await processDelivery('imposter')).status).toBe('skipped');
+  });
+
+  it('routes monorepo commits to every project whose paths they touch', async () => {
+    store.seedProjectsFromConfig([
+      ...store.loadProjectsConfig(),
+      { id: 'quill-web', name: 'Quill Web', repos: [{ repo: 'FallingWithStyle/Magic-Quill', paths: ['web'] }] }
+    ]);
+
+    const commitWith = (sha, added) => ({
+      id: sha,
+      message: 'feat: route monorepo commits by path',
+      timestamp: '2026-07-03T12:00:00Z',
+      added,
+      modified: [],
+      removed: []
+    });
+    const payload = {
+      ref: 'refs/heads/main',
+      repository: { full_name: 'FallingWithStyle/Magic-Quill' },
+      commits: [
+        commitWith('c'.repeat(40), ['web/app.js']),
+        commitWith('d'.repeat(40), ['web/app.js', 'README.md'])
+      ]
+    };
+    store.recordWebhookDelivery({ id: 'mono-push', event: 'push', repo: 'FallingWithStyle/Magic-Quill', body: Buffer.from(JSON.stringify(payload)) });
+    expect((await processDelivery('mono-push')).status).toBe('processed');
+
+    const shas = (projectId) => store.getProjectCommits(projectId, null, 10).map((c) => c.sha[0]).sort();
+    expect(shas('quill-web')).toEqual(['c', 'd']);
+    expect(shas('magic-quill')).toEqual(['d']);
+
+    store.seedProjectsFromConfig();
+  });
+
+  it('returns 404 when reprocessing an unknown delivery', async () => {
+    await request(app).post('/api/admin/deliveries/nope/reprocess').expect(404);
+    await request(app).get('/api/admin/deliveries?status=bogus').expect(400);
+  });
+});
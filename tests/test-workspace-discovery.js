@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gal-discovery-'));
+const root = path.join(dataDir, 'Dev');
+const configPath = path.join(dataDir, 'projects.json');
+fs.copyFileSync(path.join(__dirname, '../config/projects.json'), configPath);
+process.env.DATA_DIR = dataDir;
+process.env.PROJECTS_CONFIG = configPath;
+process.env.IGNORED_REPOS_CONFIG = path.join(dataDir, 'ignored-repos.json');
+fs.writeFileSync(process.env.IGNORED_REPOS_CONFIG, JSON.stringify([{ name: 'terrain', reason: 'User ignored' }]));
+process.env.DEVRA_PROJECTS_ROOT = root;
+process.env.GITHUB_LOGGER_TOKEN = 'test-token';
+
+const store = require('../db/store');
+const apiAdminRoutes = require('../routes/api-admin');
+const { parseGitRemotes, repoFromRemoteUrl, discoverWorkspaces } = require('../db/workspace-discovery');
+
+function clone(folder, url) {
+  fs.mkdirSync(path.join(root, folder, '.git'), { recursive: true });
+  fs.writeFileSync(path.join(root, folder, '.git', 'config'), `[core]\n\tbare = false\n[remote "origin"]\n\turl = ${url}\n\tfetch = +refs/heads/*:refs/remotes/origin/*\n`);
+}
+
+describe('workspace discovery', () => {
+  beforeAll(() => {
+    clone('Devra', 'git@github.com:FallingWithStyle/Devra.git');
+    clone('quill', 'https://github.com/FallingWithStyle/Magic-Quill');
+    clone('Glyph Server', 'ssh://git@github.com/FallingWithStyle/glyph-server.git');
+    clone('terrain', 'git@github.com:SomeoneElse/Terrain.git');
+    fs.mkdirSync(path.join(root, 'scratch'));
+    // A linked worktree: .git is a file pointing into another repo's .git
+    fs.mkdirSync(path.join(root, 'Devra', '.git', 'worktrees', 'wt'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'Devra', '.git', 'worktrees', 'wt', 'commondir'), '../..\n');
+    fs.mkdirSync(path.join(root, 'devra-wt'));
+    fs.writeFileSync(path.join(root, 'devra-wt', '.git'), `gitdir: ${path.join(root, 'Devra', '.git', 'worktrees', 'wt')}\n`);
+    store.initDb();
+    store.seedProjectsFromConfig();
+  });
+
+  afterAll(() => {
+    store.closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('reads GitHub repos from git remotes', () => {
+    expect(parseGitRemotes('[remote "origin"]\n  url = git@github.com:a/b.git\n[branch "main"]\n  url = nope\n[remote "up"]\n  url = https://gitlab.com/c/d'))
+      .toEqual([{ name: 'origin', url: 'git@github.com:a/b.git' }, { name: 'up', url: 'https://gitlab.com/c/d' }]);
+    expect(repoFromRemoteUrl('git@github.com:a/b.git')).toBe('a/b');
+    expect(repoFromRemoteUrl('https://github.com/a/b.js/')).toBe('a/b.js');
+    expect(repoFromRemoteUrl('https://gitlab.com/c/d')).toBeNull();
+  });
+
+  it('reports matches, unknown folders, missing workspaces and suggestions', () => {
+    const report = discoverWorkspaces();
+
+    expect(report.matched).toEqual(expect.arrayContaining([
+      { folder: 'Devra', projectId: 'devra', workspacePath: 'Devra' },
+      { folder: 'devra-wt', projectId: 'devra', workspacePath: 'Devra' },
+      { folder: 'quill', projectId: 'magic-quill', workspacePath: 'Magic Quill' }
+    ]));
+    expect(report.unmatchedFolders).toEqual([
+      { folder: 'Glyph Server', git: true, repos: ['FallingWithStyle/glyph-server'] },
+      { folder: 'scratch', git: false, repos: [] }
+    ]);
+    expect(report.ignoredFolders).toEqual([{ folder: 'terrain', repos: ['SomeoneElse/Terrain'] }]);
+    expect(report.missingWorkspaces).toContainEqual({ projectId: 'magic-quill', workspacePath: 'Magic Quill' });
+    expect(report.missingWorkspaces.map((m) => m.projectId)).not.toContain('devra');
+    expect(report.suggestions.map(({ action, projectId, entry }) => [action, projectId, entry.workspacePath])).toEqual([
+      ['update', 'magic-quill', 'quill'],
+      ['add', 'glyph-server', 'Glyph Server']
+    ]);
+  });
+
+  it('applies only the reviewed suggestions to the config file and SQLite', async () => {
+    const app = express();
+    // Requests in this suite are the authenticated admin unless they set their own header
+    app.use((req, res, next) => {
+      req.headers.authorization = req.headers.authorization || 'Bearer test-token';
+      next();
+    });
+    app.use(express.json());
+    app.use('/api/admin', apiAdminRoutes);
+
+    const report = await request(app).get('/api/admin/workspaces').expect(200);
+    const [update, add] = report.body.suggestions;
+    const before = fs.readFileSync(configPath, 'utf8');
+
+    await request(app).post('/api/admin/workspaces/apply').send({}).expect(400);
+    const stale = await request(app).post('/api/admin/workspaces/apply').send({ ids: [update.id, 'not-reviewed'] }).expect(409);
+    expect(stale.body.stale).toEqual(['not-reviewed']);
+    expect(fs.readFileSync(configPath, 'utf8')).toBe(before);
+
+    // A folder that appears after the review is not applied with it
+    clone('Lantern', 'git@github.com:FallingWithStyle/Lantern.git');
+    const res = await request(app).post('/api/admin/workspaces/apply').send({ ids: [update.id] }).expect(200);
+    expect(res.body.applied).toEqual([update]);
+
+    let config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    expect(config.find((entry) => entry.id === 'magic-quill').workspacePath).toBe('quill');
+    expect(config.some((entry) => entry.id === 'glyph-server' || entry.id === 'lantern')).toBe(false);
+    expect(store.getProjectById('magic-quill').workspace_path).toBe('quill');
+
+    await request(app).post('/api/admin/workspaces/apply').send({ ids: [add.id] }).expect(200);
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    expect(config.find((entry) => entry.id === 'glyph-server')).toEqual({
+      id: 'glyph-server', name: 'Glyph Server', repo: 'FallingWithStyle/glyph-server', workspacePath: 'Glyph Server'
+    });
+    expect(discoverWorkspaces().suggestions.map((s) => s.projectId)).toEqual(['lantern']);
+  });
+});